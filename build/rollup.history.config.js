@@ -0,0 +1,11 @@
+const buble = require('rollup-plugin-buble')
+
+module.exports = {
+  input: 'src/plugins/history.js',
+  output: {
+    file: 'dist/history.js',
+    format: 'umd',
+    name: 'createVuexHistory',
+  },
+  plugins: [buble()]
+}
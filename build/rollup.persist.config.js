@@ -0,0 +1,18 @@
+const buble = require('rollup-plugin-buble')
+const replace = require('rollup-plugin-replace')
+
+module.exports = {
+  input: 'src/plugins/persist.js',
+  output: {
+    file: 'dist/persist.js',
+    format: 'umd',
+    name: 'VuexPersist',
+    exports: 'named'
+  },
+  plugins: [
+    replace({
+      'process.env.NODE_ENV': JSON.stringify('development')
+    }),
+    buble()
+  ]
+}
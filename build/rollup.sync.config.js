@@ -0,0 +1,18 @@
+const buble = require('rollup-plugin-buble')
+const replace = require('rollup-plugin-replace')
+
+module.exports = {
+  input: 'src/plugins/sync.js',
+  output: {
+    file: 'dist/sync.js',
+    format: 'umd',
+    name: 'VuexSync',
+    exports: 'named'
+  },
+  plugins: [
+    replace({
+      'process.env.NODE_ENV': JSON.stringify('development')
+    }),
+    buble()
+  ]
+}
@@ -1,15 +1,20 @@
 import Module from './module'
-import { assert, forEachValue } from '../util'
+import { assert, forEachValue, isObject, deepCopy } from '../util'
 
 export default class ModuleCollection {
   constructor (rawRootModule) {
     // register root module (Vuex.Store options)
     this.register([], rawRootModule, false)
+
+    if (process.env.NODE_ENV !== 'production') {
+      this.assertRequirements([])
+    }
   }
 
+  // undefined if the module is not registered
   get (path) {
     return path.reduce((module, key) => {
-      return module.getChild(key)
+      return module && module.getChild(key)
     }, this.root)
   }
 
@@ -21,8 +26,30 @@ export default class ModuleCollection {
     }, '')
   }
 
-  update (rawRootModule) {
-    update([], this.root, rawRootModule)
+  /**
+   * Hot update the module at the given path.
+   * When pruning, the handlers and nested modules missing from the new raw
+   * module are removed, except the modules registered at runtime.
+   * Returns the removed modules along with their paths.
+   */
+  update (rawModule, path = [], prune = false) {
+    if (process.env.NODE_ENV !== 'production') {
+      assert(this.get(path), `cannot hot update module '${path.join('/')}' which is not registered.`)
+    }
+
+    const removed = []
+    update(this, path, this.get(path), rawModule, prune, removed)
+    return removed
+  }
+
+  /**
+   * Find the modules which pruning the module at the given path with
+   * the new raw module would remove, without updating anything.
+   */
+  findPruned (rawModule, path = []) {
+    const pruned = []
+    findPruned(path, this.get(path), rawModule, pruned)
+    return pruned
   }
 
   register (path, rawModule, runtime = true) {
@@ -30,6 +57,8 @@ export default class ModuleCollection {
       assertRawModule(path, rawModule)
     }
 
+    rawModule = resolveRawModule(path, rawModule)
+
     const newModule = new Module(rawModule, runtime)
     if (path.length === 0) {
       this.root = newModule
@@ -46,42 +75,203 @@ export default class ModuleCollection {
     }
   }
 
-  unregister (path) {
-    const parent = this.get(path.slice(0, -1))
+  /**
+   * Find a module of the subtree at `path` which requires a module that is
+   * not registered, or a module outside of it which requires a module inside.
+   */
+  findMissingRequirement (path) {
+    let missing = null
+    forEachModule(this.get(path), path, (module, modulePath) => {
+      module.requires.forEach(required => {
+        if (!missing && !this.has(required)) {
+          missing = { path: modulePath, required }
+        }
+      })
+    })
+    return missing
+  }
+
+  findDependent (path) {
+    let dependent = null
+    forEachModule(this.root, [], (module, modulePath) => {
+      if (dependent || isPrefix(path, modulePath)) return
+      module.requires.forEach(required => {
+        if (!dependent && isPrefix(path, required)) {
+          dependent = { path: modulePath, required }
+        }
+      })
+    })
+    return dependent
+  }
+
+  assertRequirements (path) {
+    const missing = this.findMissingRequirement(path)
+    if (missing) {
+      assert(false, `module '${missing.path.join('/')}' requires module '${missing.required.join('/')}' which is not registered.`)
+    }
+  }
+
+  has (path) {
+    return !!this.get(path)
+  }
+
+  // static modules are only removed when forced
+  unregister (path, force = false) {
+    if (process.env.NODE_ENV !== 'production') {
+      assert(path.length > 0 && this.has(path), `cannot unregister module '${path.join('/')}' which is not registered.`)
+    }
+
+    const parent = path.length > 0 && this.has(path) && this.get(path.slice(0, -1))
     const key = path[path.length - 1]
-    if (!parent.getChild(key).runtime) return
+    if (!parent || (!force && !parent.getChild(key).runtime)) return
 
     parent.removeChild(key)
   }
 }
 
-function update (path, targetModule, newModule) {
+function update (collection, path, targetModule, newModule, prune, removed) {
   if (process.env.NODE_ENV !== 'production') {
     assertRawModule(path, newModule)
   }
 
+  newModule = resolveRawModule(path, newModule)
+
+  // modules declared along with the target, as opposed to registered on their own
+  const declared = targetModule._rawModule.modules || {}
+
   // update target module
-  targetModule.update(newModule)
+  targetModule.update(newModule, prune)
 
   // update nested modules
   if (newModule.modules) {
     for (const key in newModule.modules) {
       if (!targetModule.getChild(key)) {
-        if (process.env.NODE_ENV !== 'production') {
-          console.warn(
-            `[vuex] trying to add a new module '${key}' on hot reloading, ` +
-            'manual reload is needed'
-          )
-        }
-        return
+        collection.register(path.concat(key), newModule.modules[key], targetModule.runtime)
+        continue
       }
       update(
+        collection,
         path.concat(key),
         targetModule.getChild(key),
-        newModule.modules[key]
+        newModule.modules[key],
+        prune,
+        removed
       )
     }
   }
+
+  // remove nested modules which are not declared anymore
+  if (prune) {
+    const modules = newModule.modules || {}
+    targetModule.forEachChild((child, key) => {
+      if (key in declared && !(key in modules)) {
+        targetModule.removeChild(key)
+        removed.push({ path: path.concat(key), module: child })
+      }
+    })
+  }
+}
+
+function findPruned (path, targetModule, newModule, pruned) {
+  if (process.env.NODE_ENV !== 'production') {
+    assertRawModule(path, newModule)
+  }
+
+  newModule = resolveRawModule(path, newModule)
+
+  const declared = targetModule._rawModule.modules || {}
+  const modules = newModule.modules || {}
+  targetModule.forEachChild((child, key) => {
+    if (key in modules) {
+      findPruned(path.concat(key), child, modules[key], pruned)
+    } else if (key in declared) {
+      pruned.push({ path: path.concat(key), module: child })
+    }
+  })
+}
+
+function forEachModule (module, path, fn) {
+  fn(module, path)
+  module.forEachChild((child, key) => forEachModule(child, path.concat(key), fn))
+}
+
+function isPrefix (prefix, path) {
+  return prefix.length <= path.length && prefix.every((key, i) => key === path[i])
+}
+
+const composedOptions = ['getters', 'mutations', 'actions', 'modules']
+
+/**
+ * Resolve `extends` and `mixins` into a plain raw module.
+ * The options of the module override the inherited ones, while
+ * the same key inherited from more than one source is an error.
+ */
+export function resolveRawModule (path, rawModule) {
+  if (!rawModule.extends && !rawModule.mixins) {
+    return rawModule
+  }
+
+  const sources = (rawModule.extends ? [rawModule.extends] : [])
+    .concat(rawModule.mixins || [])
+    .map(source => {
+      if (process.env.NODE_ENV !== 'production') {
+        assertRawModule(path, source)
+      }
+      return resolveRawModule(path, source)
+    })
+
+  // other options, such as namespaced, are simply overridden
+  const resolved = {}
+  sources.concat(rawModule).forEach(source => {
+    forEachValue(source, (value, key) => {
+      resolved[key] = value
+    })
+  })
+  delete resolved.extends
+  delete resolved.mixins
+
+  composedOptions.forEach(key => {
+    if (resolved[key]) {
+      resolved[key] = mergeOptions(path, key, sources.map(source => source[key]), rawModule[key])
+    }
+  })
+
+  const plugins = sources.concat(rawModule).filter(source => source.plugins)
+  if (plugins.length) {
+    resolved.plugins = plugins.reduce((all, source) => all.concat(source.plugins), [])
+  }
+
+  // a state factory keeps the state of each module fresh
+  if (resolved.state) {
+    resolved.state = () => mergeOptions(
+      path,
+      'state',
+      sources.map(source => createState(source.state)),
+      createState(rawModule.state)
+    )
+  }
+
+  return resolved
+}
+
+function createState (rawState) {
+  return typeof rawState === 'function' ? rawState() : deepCopy(rawState)
+}
+
+function mergeOptions (path, key, inherited, own) {
+  const merged = {}
+  inherited.forEach(options => {
+    forEachValue(options || {}, (value, type) => {
+      if (process.env.NODE_ENV !== 'production') {
+        assert(!(type in merged), withModulePath(path, `"${key}.${type}" is inherited more than once from extends and mixins`))
+      }
+      merged[type] = value
+    })
+  })
+  forEachValue(own || {}, (value, type) => {
+    merged[type] = value
+  })
+  return merged
 }
 
 const functionAssert = {
@@ -102,6 +292,15 @@ const assertTypes = {
 }
 
 function assertRawModule (path, rawModule) {
+  assert(
+    !rawModule.extends || isObject(rawModule.extends),
+    withModulePath(path, 'extends should be a module object')
+  )
+  assert(
+    !rawModule.mixins || Array.isArray(rawModule.mixins),
+    withModulePath(path, 'mixins should be an array of module objects')
+  )
+
   Object.keys(assertTypes).forEach(key => {
     if (!rawModule[key]) return
 
@@ -124,3 +323,10 @@ function makeAssertionMessage (path, key, type, value, expected) {
   buf += ` is ${JSON.stringify(value)}.`
   return buf
 }
+
+function withModulePath (path, message) {
+  if (path.length > 0) {
+    message += ` in module "${path.join('.')}"`
+  }
+  return message + '.'
+}
@@ -1,4 +1,6 @@
-import { forEachValue } from '../util'
+import { forEachValue, deepCopy } from '../util'
+
+const lifecycleHooks = ['onRegister', 'onUnregister', 'onHotUpdate']
 
 // Base data struct for store's module, package with some attribute and method
 export default class Module {
@@ -12,12 +14,21 @@ export default class Module {
 
     // Store the origin module's state
     this.state = (typeof rawState === 'function' ? rawState() : rawState) || {}
+    // Keep a copy of a plain state object, which will be mutated, to be able to reset it
+    this._initialState = typeof rawState === 'function' ? null : deepCopy(this.state)
   }
 
   get namespaced () {
     return !!this._rawModule.namespaced
   }
 
+  // paths of the modules this module depends on
+  get requires () {
+    return (this._rawModule.requires || []).map(path => {
+      return typeof path === 'string' ? path.split('/') : path
+    })
+  }
+
   addChild (key, module) {
     this._children[key] = module
   }
@@ -30,17 +41,55 @@ export default class Module {
     return this._children[key]
   }
 
-  update (rawModule) {
+  hasChildren () {
+    return Object.keys(this._children).length > 0
+  }
+
+  // Create a fresh state object, as it was when the module was created
+  createState () {
+    const rawState = this._rawModule.state
+    return typeof rawState === 'function'
+      ? rawState() || {}
+      : deepCopy(this._initialState)
+  }
+
+  // When pruning, the handlers missing from the new raw module are removed
+  update (rawModule, prune) {
     this._rawModule.namespaced = rawModule.namespaced
-    if (rawModule.actions) {
+    if (rawModule.state) {
+      this._rawModule.state = rawModule.state
+      this._initialState = typeof rawModule.state === 'function' ? null : deepCopy(rawModule.state)
+    }
+    if (rawModule.actions || prune) {
       this._rawModule.actions = rawModule.actions
     }
-    if (rawModule.mutations) {
+    if (rawModule.mutations || prune) {
       this._rawModule.mutations = rawModule.mutations
     }
-    if (rawModule.getters) {
+    if (rawModule.getters || prune) {
       this._rawModule.getters = rawModule.getters
     }
+    if (rawModule.requires || prune) {
+      this._rawModule.requires = rawModule.requires
+    }
+    lifecycleHooks.forEach(name => {
+      if (rawModule[name] || prune) {
+        this._rawModule[name] = rawModule[name]
+      }
+    })
+    // keep track of the nested modules declared by the raw module
+    if (prune) {
+      this._rawModule.modules = rawModule.modules
+    } else if (rawModule.modules) {
+      const modules = {}
+      forEachValue(this._rawModule.modules || {}, (module, key) => {
+        modules[key] = module
+      })
+      forEachValue(rawModule.modules, (module, key) => {
+        modules[key] = module
+      })
+      this._rawModule.modules = modules
+    }
   }
 
   forEachChild (fn) {
@@ -0,0 +1,193 @@
+import { deepCopy, getNestedState, TRANSACTION } from '../util'
+
+export default function createHistory ({
+  paths = [[]],
+  limit = 100,
+  filter = mutation => true
+} = {}) {
+  const undoStack = []
+  const redoStack = []
+  let store
+  let group = null
+  // the step of the pending transaction, recorded once it is committed
+  let transactionStep = null
+
+  paths = paths.map(path => typeof path === 'string' ? [path] : path)
+
+  const history = _store => {
+    store = _store
+
+    store.useMutationMiddleware((mutation, next) => {
+      if (!filter(mutation)) {
+        return next(mutation)
+      }
+
+      const transaction = getPendingTransaction(store)
+      if (transaction && (!transactionStep || transactionStep.transaction !== transaction)) {
+        transactionStep = { transaction, entry: [] }
+      }
+
+      // only the modules handling the mutation are recorded
+      const entry = transaction ? transactionStep.entry : group || []
+      const snapshots = []
+      forEachTrackedModule(paths, store._modules.root, [], (module, path) => {
+        const installed = module._installed
+        const key = path.join('/')
+        if (
+          installed &&
+          installed.mutations.some(({ type }) => type === mutation.type) &&
+          !entry.some(item => item.key === key)
+        ) {
+          snapshots.push({ key, path, state: takeSnapshot(getNestedState(store.state, path), module) })
+        }
+      })
+
+      // the mutation may be unknown or blocked by another middleware
+      const committed = next(mutation)
+      if (!committed || !snapshots.length) return committed
+
+      entry.push(...snapshots)
+      if (!group && !transaction) {
+        push(undoStack, entry)
+        redoStack.length = 0
+      }
+      return committed
+    })
+
+    // the mutations of a transaction which is rolled back are not notified
+    store.subscribe(mutation => {
+      if (mutation.type !== TRANSACTION || !transactionStep) return
+
+      const { transaction, entry } = transactionStep
+      transactionStep = null
+      if (transaction.failed || !entry.length) return
+
+      if (group) {
+        entry.forEach(item => {
+          if (!group.some(({ key }) => key === item.key)) {
+            group.push(item)
+          }
+        })
+      } else {
+        push(undoStack, entry)
+        redoStack.length = 0
+      }
+    })
+  }
+
+  history.undo = () => {
+    travel(undoStack, redoStack)
+  }
+
+  history.redo = () => {
+    travel(redoStack, undoStack)
+  }
+
+  /**
+   * Record all mutations committed while running `fn` as a single undo step.
+   * If `fn` returns a Promise, the step ends when the Promise settles.
+   */
+  history.group = fn => {
+    // nested groups become part of the outer one
+    if (group) {
+      return fn()
+    }
+
+    const entry = group = []
+    const end = () => {
+      group = null
+      if (entry.length) {
+        push(undoStack, entry)
+        redoStack.length = 0
+      }
+    }
+
+    let res
+    try {
+      res = fn()
+    } catch (e) {
+      end()
+      throw e
+    }
+    if (res && typeof res.then === 'function') {
+      return res.then(res => {
+        end()
+        return res
+      }, err => {
+        end()
+        throw err
+      })
+    }
+    end()
+    return res
+  }
+
+  history.clear = () => {
+    undoStack.length = 0
+    redoStack.length = 0
+  }
+
+  Object.defineProperties(history, {
+    canUndo: {
+      get: () => undoStack.length > 0
+    },
+    canRedo: {
+      get: () => redoStack.length > 0
+    }
+  })
+
+  function push (stack, entry) {
+    stack.push(entry)
+    if (stack.length > limit) {
+      stack.shift()
+    }
+  }
+
+  function travel (from, to) {
+    const entry = from.pop()
+    if (!entry) return
+
+    const reverse = []
+    entry.forEach(({ key, path, state }) => {
+      // skip modules which have been unregistered since
+      const module = store._modules.get(path)
+      if (!module) return
+
+      reverse.push({ key, path, state: takeSnapshot(getNestedState(store.state, path), module) })
+      store.replaceModuleState(path, state)
+    })
+    push(to, reverse)
+  }
+
+  return history
+}
+
+function getPendingTransaction (store) {
+  let transaction = store._transaction
+  if (!transaction) return null
+  while (transaction.parent) {
+    transaction = transaction.parent
+  }
+  return transaction.pending ? transaction : null
+}
+
+// modules of the tracked paths, along with their nested modules
+function forEachTrackedModule (paths, module, path, fn) {
+  if (paths.some(tracked => tracked.length <= path.length && tracked.every((key, i) => key === path[i]))) {
+    fn(module, path)
+  }
+  module.forEachChild((child, key) => {
+    forEachTrackedModule(paths, child, path.concat(key), fn)
+  })
+}
+
+// the state of nested modules is left out, they are recorded on their own
+function takeSnapshot (state, module) {
+  const snapshot = {}
+  Object.keys(state).forEach(key => {
+    if (!module.getChild(key)) {
+      snapshot[key] = deepCopy(state[key])
+    }
+  })
+  return snapshot
+}
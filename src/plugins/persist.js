@@ -0,0 +1,230 @@
+import { isObject, isPromise, getNestedState, TRANSACTION } from '../util'
+
+export default function createPersistedState ({
+  key = 'vuex',
+  storage = localStorageAdapter(),
+  paths = [],
+  throttle = 0,
+  serialize = JSON.stringify,
+  deserialize = JSON.parse
+} = {}) {
+  // modules being persisted, by storage key
+  const persisted = Object.create(null)
+  const dirty = Object.create(null)
+  const pending = []
+  let store
+  let timer = null
+
+  paths = paths.map(path => typeof path === 'string' ? [path] : path)
+
+  const plugin = _store => {
+    store = _store
+
+    forEachPersistedModule([], store._modules.root, add)
+
+    store.subscribeModule(({ type, path }) => {
+      if (type === 'replace') {
+        // the state of the module and its nested modules has changed without mutation
+        Object.keys(persisted).forEach(storageKey => {
+          const entry = persisted[storageKey]
+          if (entry.hydrated && path.every((key, i) => key === entry.path[i])) {
+            dirty[storageKey] = true
+          }
+        })
+        schedule()
+        return
+      }
+
+      const module = store._modules.get(path)
+      if (type === 'register') {
+        forEachPersistedModule(path, module, add)
+      } else {
+        forEachPersistedModule(path, module, remove)
+      }
+    })
+
+    store.subscribe(mutation => {
+      const types = mutation.type === TRANSACTION
+        ? mutation.payload.map(mutation => mutation.type)
+        : [mutation.type]
+
+      Object.keys(persisted).forEach(storageKey => {
+        const entry = persisted[storageKey]
+        // a namespaced module only handles mutations in its namespace
+        const namespace = store._modules.getNamespace(entry.path)
+        if (entry.hydrated && types.some(type => type.indexOf(namespace) === 0)) {
+          dirty[storageKey] = true
+        }
+      })
+      schedule()
+    })
+  }
+
+  Object.defineProperty(plugin, 'restored', {
+    get: () => Promise.all(pending).then(() => {})
+  })
+
+  function forEachPersistedModule (path, module, fn) {
+    if (
+      module._rawModule.persist ||
+      paths.some(p => p.length === path.length && p.every((key, i) => key === path[i]))
+    ) {
+      fn(path)
+    }
+    module.forEachChild((child, childKey) => {
+      forEachPersistedModule(path.concat(childKey), child, fn)
+    })
+  }
+
+  function add (path) {
+    const storageKey = getStorageKey(key, path)
+    const entry = persisted[storageKey] = { path, hydrated: false }
+
+    const hydrate = saved => {
+      // the module may have been unregistered in the meantime
+      if (persisted[storageKey] !== entry) return
+
+      let state = null
+      try {
+        state = saved == null ? null : deserialize(saved)
+      } catch (e) {
+        warn(`cannot restore the state of '${storageKey}': `, e)
+      }
+      if (isObject(state)) {
+        store.mergeState(path, state)
+      }
+      // unreadable states are skipped, and overwritten on the next change
+      entry.hydrated = true
+    }
+    const fail = e => {
+      warn(`cannot read the state of '${storageKey}': `, e)
+      hydrate(null)
+    }
+
+    let saved
+    try {
+      saved = storage.getItem(storageKey)
+    } catch (e) {
+      fail(e)
+      return
+    }
+    if (isPromise(saved)) {
+      const promise = saved.then(hydrate, fail)
+      pending.push(promise)
+      promise.then(() => pending.splice(pending.indexOf(promise), 1))
+    } else {
+      hydrate(saved)
+    }
+  }
+
+  function remove (path) {
+    const storageKey = getStorageKey(key, path)
+    // save the latest state before the module goes away
+    if (dirty[storageKey]) {
+      write(storageKey)
+    }
+    delete persisted[storageKey]
+  }
+
+  function schedule () {
+    if (throttle <= 0) {
+      flush()
+    } else if (!timer) {
+      timer = setTimeout(flush, throttle)
+    }
+  }
+
+  function flush () {
+    timer = null
+    Object.keys(dirty).forEach(write)
+  }
+
+  function write (storageKey) {
+    delete dirty[storageKey]
+    const entry = persisted[storageKey]
+    if (!entry) return
+
+    const fail = e => warn(`cannot save the state of '${storageKey}': `, e)
+    try {
+      const res = storage.setItem(storageKey, serialize(getOwnState(store, entry.path)))
+      if (isPromise(res)) {
+        res.then(null, fail)
+      }
+    } catch (e) {
+      fail(e)
+    }
+  }
+
+  return plugin
+}
+
+/**
+ * Adapters for the storages.
+ * Their methods may also return Promises, for asynchronous key-value stores.
+ */
+
+export function localStorageAdapter () {
+  return webStorageAdapter('localStorage')
+}
+
+export function sessionStorageAdapter () {
+  return webStorageAdapter('sessionStorage')
+}
+
+export function memoryAdapter (items = {}) {
+  return {
+    getItem: key => key in items ? items[key] : null,
+    setItem: (key, value) => { items[key] = value },
+    removeItem: key => { delete items[key] }
+  }
+}
+
+function webStorageAdapter (name) {
+  // accessing the storage throws when it is disabled
+  const getStorage = () => {
+    try {
+      return typeof window !== 'undefined' ? window[name] : null
+    } catch (e) {
+      return null
+    }
+  }
+
+  return {
+    getItem: key => {
+      const storage = getStorage()
+      return storage ? storage.getItem(key) : null
+    },
+    setItem: (key, value) => {
+      const storage = getStorage()
+      if (storage) storage.setItem(key, value)
+    },
+    removeItem: key => {
+      const storage = getStorage()
+      if (storage) storage.removeItem(key)
+    }
+  }
+}
+
+function warn (message, error) {
+  if (process.env.NODE_ENV !== 'production') {
+    console.warn(`[vuex] ${message}`)
+    console.error(error)
+  }
+}
+
+function getStorageKey (key, path) {
+  return path.reduce((storageKey, moduleKey) => storageKey + '/' + moduleKey, key)
+}
+
+// nested modules are persisted separately
+function getOwnState (store, path) {
+  const module = store._modules.get(path)
+  const state = getNestedState(store.state, path)
+  const ownState = {}
+  Object.keys(state).forEach(key => {
+    if (!module.getChild(key)) {
+      ownState[key] = state[key]
+    }
+  })
+  return ownState
+}
@@ -0,0 +1,247 @@
+import { getNestedState, TRANSACTION } from '../util'
+
+let uid = 0
+
+export default function createSync ({
+  transport = broadcastChannelTransport(),
+  types,
+  modules,
+  snapshot = true
+} = {}) {
+  const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${uid++}`
+  let store
+  let receiving = false
+  let requestId = null
+  let unlisten
+  let unsubscribe
+  let removeMiddleware
+  // mutations received from other tabs, wherever a middleware defers them
+  const remote = typeof WeakSet !== 'undefined' ? new WeakSet() : null
+
+  if (modules) {
+    modules = modules.map(path => typeof path === 'string' ? [path] : path)
+  }
+
+  const isAllowed = type => {
+    if (!types && !modules) return true
+    return (types && types.indexOf(type) > -1) ||
+      (modules && modules.some(path => {
+        const namespace = getNamespace(store, path)
+        return namespace !== null && namespace !== '' && type.indexOf(namespace) === 0
+      }))
+  }
+
+  const sync = _store => {
+    store = _store
+
+    unlisten = transport.listen(message => {
+      if (!message || message.source === id) return
+
+      if (message.type === 'mutations') {
+        receive(message.mutations)
+      } else if (message.type === 'snapshot-request') {
+        send({
+          type: 'snapshot',
+          source: id,
+          target: message.source,
+          requestId: message.requestId,
+          state: getSnapshot()
+        })
+      } else if (
+        message.type === 'snapshot' &&
+        message.target === id &&
+        message.requestId === requestId
+      ) {
+        // only the first answer is applied
+        requestId = null
+        applySnapshot(message.state)
+      }
+    })
+
+    // mark the received mutations before any other middleware may defer them
+    const middleware = (mutation, next) => {
+      if (receiving && remote) {
+        remote.add(mutation)
+      }
+      return next(mutation)
+    }
+    store._mutationMiddleware.unshift(middleware)
+    removeMiddleware = () => {
+      const i = store._mutationMiddleware.indexOf(middleware)
+      if (i > -1) store._mutationMiddleware.splice(i, 1)
+    }
+
+    unsubscribe = store.subscribe(mutation => {
+      // do not send back mutations received from other tabs
+      if (receiving) return
+
+      const mutations = (mutation.type === TRANSACTION ? mutation.payload : [mutation])
+        .filter(mutation => isAllowed(mutation.type) && !(remote && remote.has(mutation)))
+        .map(({ type, payload }) => ({ type, payload }))
+
+      if (mutations.length) {
+        send({ type: 'mutations', source: id, mutations })
+      }
+    })
+
+    if (snapshot) {
+      sync.requestSnapshot()
+    }
+  }
+
+  /**
+   * Ask the other tabs for their state.
+   * The first answer replaces the synchronised state of this tab.
+   */
+  sync.requestSnapshot = () => {
+    requestId = `${id}-${uid++}`
+    send({ type: 'snapshot-request', source: id, requestId })
+  }
+
+  sync.close = () => {
+    if (unlisten) unlisten()
+    if (unsubscribe) unsubscribe()
+    if (removeMiddleware) removeMiddleware()
+    if (transport.close) transport.close()
+  }
+
+  // a message which cannot be sent, like a payload holding a function,
+  // must not break the commit it is sent from
+  function send (message) {
+    try {
+      transport.send(message)
+    } catch (e) {
+      if (process.env.NODE_ENV !== 'production') {
+        console.warn(`[vuex] cannot send a ${message.type} message to the other tabs: `)
+        console.error(e)
+      }
+    }
+  }
+
+  function receive (mutations) {
+    receiving = true
+    try {
+      mutations.forEach(({ type, payload }) => {
+        // skip mutations of modules which are not registered in this tab
+        if (isAllowed(type) && store._mutations[type]) {
+          store.commit(type, payload)
+        }
+      })
+    } finally {
+      receiving = false
+    }
+  }
+
+  function getSnapshot () {
+    if (!modules) {
+      return { '': store.state }
+    }
+    const snapshot = {}
+    modules.forEach(path => {
+      if (store._modules.has(path)) {
+        snapshot[path.join('/')] = getNestedState(store.state, path)
+      }
+    })
+    return snapshot
+  }
+
+  function applySnapshot (snapshot) {
+    Object.keys(snapshot).forEach(key => {
+      const path = key ? key.split('/') : []
+      if (store._modules.has(path) && (!modules || modules.some(p => p.join('/') === key))) {
+        store.replaceModuleState(path, snapshot[key])
+      }
+    })
+  }
+
+  return sync
+}
+
+/**
+ * Transports deliver messages to the other tabs.
+ * They implement `send(message)` and `listen(handler)`, which returns
+ * a function to stop listening, and optionally `close()`.
+ */
+
+export function broadcastChannelTransport (name = 'vuex') {
+  let channel = null
+  const getChannel = () => {
+    if (!channel && typeof BroadcastChannel !== 'undefined') {
+      channel = new BroadcastChannel(name)
+    }
+    return channel
+  }
+
+  return {
+    send: message => {
+      const channel = getChannel()
+      if (channel) channel.postMessage(message)
+    },
+    listen: handler => {
+      const channel = getChannel()
+      if (!channel) return () => {}
+      const listener = event => handler(event.data)
+      channel.addEventListener('message', listener)
+      return () => channel.removeEventListener('message', listener)
+    },
+    close: () => {
+      if (channel) {
+        channel.close()
+        channel = null
+      }
+    }
+  }
+}
+
+export function storageEventTransport (key = 'vuex-sync') {
+  let count = 0
+
+  return {
+    send: message => {
+      if (typeof window === 'undefined') return
+      // the storage event is only fired when the value changes
+      window.localStorage.setItem(key, JSON.stringify({ message, count: count++, time: Date.now() }))
+    },
+    listen: handler => {
+      if (typeof window === 'undefined') return () => {}
+      const listener = event => {
+        if (event.key === key && event.newValue) {
+          handler(JSON.parse(event.newValue).message)
+        }
+      }
+      window.addEventListener('storage', listener)
+      return () => window.removeEventListener('storage', listener)
+    }
+  }
+}
+
+const memoryChannels = Object.create(null)
+
+export function memoryTransport (name = 'vuex') {
+  const listeners = memoryChannels[name] || (memoryChannels[name] = [])
+  const own = []
+
+  return {
+    send: message => {
+      // messages are copied and not delivered to the sender, like BroadcastChannel does
+      listeners.slice().forEach(listener => {
+        if (own.indexOf(listener) < 0) {
+          listener(JSON.parse(JSON.stringify(message)))
+        }
+      })
+    },
+    listen: handler => {
+      const listener = message => handler(message)
+      listeners.push(listener)
+      own.push(listener)
+      return () => {
+        listeners.splice(listeners.indexOf(listener), 1)
+        own.splice(own.indexOf(listener), 1)
+      }
+    }
+  }
+}
+
+function getNamespace (store, path) {
+  return store._modules.has(path) ? store._modules.getNamespace(path) : null
+}
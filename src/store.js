@@ -1,7 +1,7 @@
 import applyMixin from './mixin'
 import devtoolPlugin from './plugins/devtool'
-import ModuleCollection from './module/module-collection'
-import { forEachValue, isObject, isPromise, assert, partial } from './util'
+import ModuleCollection, { resolveRawModule } from './module/module-collection'
+import { forEachValue, isObject, isPromise, assert, partial, deepCopy, getNestedState, createCanceler, createCancelError, TRANSACTION } from './util'
 
 let Vue // bind on install
 
@@ -33,7 +33,15 @@ export class Store {
     this._wrappedGetters = Object.create(null)
     this._modules = new ModuleCollection(options)
     this._modulesNamespaceMap = Object.create(null)
+    this._makeLocalGettersCache = Object.create(null)
+    this._pendingModules = Object.create(null)
+    this.getters = {}
     this._subscribers = []
+    this._moduleSubscribers = []
+    this._mutationMiddleware = []
+    this._actionMiddleware = []
+    this._transaction = null
+    this._transactionLog = null
     this._watcherVM = new Vue()
 
     // bind commit and dispatch to self
@@ -53,20 +61,25 @@ export class Store {
 
     // init root module.
     // this also recursively registers all sub-modules
-    // and collects all module getters inside this._wrappedGetters
+    // and their getters as computed properties of a vm per module
     installModule(this, state, [], this._modules.root)
 
     // initialize the store vm, which is responsible for the reactivity
-    // (also registers _wrappedGetters as computed properties)
     resetStoreVM(this, state)
 
     // apply plugins
     plugins.forEach(plugin => plugin(this))
 
+    // apply the plugins of nested modules, the root ones are the store plugins
+    this._modules.root.forEachChild(child => applyModulePlugins(this, child))
+
     const useDevtools = options.devtools !== undefined ? options.devtools : Vue.config.devtools
     if (useDevtools) {
       devtoolPlugin(this)
     }
+
+    // modules are mounted once the store is fully set up
+    callModuleHooks(this, this._modules.root, 'onRegister')
   }
 
   get state () {
@@ -86,21 +99,32 @@ export class Store {
       payload,
       options
     } = unifyObjectStyle(_type, _payload, _options)
+    const transaction = this._transaction
 
-    const mutation = { type, payload }
-    const entry = this._mutations[type]
-    if (!entry) {
-      if (process.env.NODE_ENV !== 'production') {
-        console.error(`[vuex] unknown mutation type: ${type}`)
-      }
+    // hold the mutation until the module of its namespace is loaded
+    const pending = !this._mutations[type] && getPendingModule(this, type)
+    if (pending) {
+      pending.promise.then(() => this.commit(type, payload, options), () => {
+        if (process.env.NODE_ENV !== 'production') {
+          console.error(`[vuex] mutation type: ${type} has been dropped, its module failed to load.`)
+        }
+      })
       return
     }
-    this._withCommit(() => {
-      entry.forEach(function commitIterator (handler) {
-        handler(payload)
-      })
-    })
-    this._subscribers.forEach(sub => sub(mutation, this.state))
+
+    // `next` tells the middleware whether the mutation has been committed,
+    // whatever the middleware after it returns
+    let committed = false
+    const mutation = { type, payload }
+    const run = applyMiddleware(
+      this._mutationMiddleware,
+      this,
+      mutation => {
+        committed = commitMutation(this, mutation, transaction) || committed
+      },
+      () => committed
+    )
+    run(mutation)
 
     if (
       process.env.NODE_ENV !== 'production' &&
@@ -121,42 +145,103 @@ export class Store {
     } = unifyObjectStyle(_type, _payload)
 
     const action = { type, payload }
-    const entry = this._actions[type]
-    if (!entry) {
+    if (!this._actions[type]) {
+      // hold the action until the module of its namespace is loaded
+      const pending = getPendingModule(this, type)
+      if (pending) {
+        return holdDispatch(this, pending, type, payload)
+      }
       if (process.env.NODE_ENV !== 'production') {
         console.error(`[vuex] unknown action type: ${type}`)
       }
       return
     }
 
-    try {
-      this._actionSubscribers
-        .filter(sub => sub.before)
-        .forEach(sub => sub.before(action, this.state))
-    } catch (e) {
-      if (process.env.NODE_ENV !== 'production') {
-        console.warn(`[vuex] error in before action subscribers: `)
-        console.error(e)
+    const transaction = this._transaction
+    const canceler = createCanceler()
+    const run = applyMiddleware(
+      this._actionMiddleware,
+      this,
+      action => runInTransaction(this, transaction, () => runAction(this, action, canceler.signal))
+    )
+
+    let settled = false
+    const promise = new Promise((resolve, reject) => {
+      const onResolve = res => {
+        settled = true
+        resolve(res)
+      }
+      const onReject = error => {
+        settled = true
+        reject(error)
+      }
+
+      // settle as soon as the action is cancelled,
+      // even if a middleware keeps the result pending
+      canceler.signal.addEventListener('abort', () => onReject(canceler.signal.reason))
+      Promise.resolve(run(action)).then(onResolve, onReject)
+    })
+
+    promise.cancel = reason => {
+      if (!settled) {
+        canceler.cancel(createCancelError(type, reason))
       }
     }
 
-    const result = entry.length > 1
-      ? Promise.all(entry.map(handler => handler(payload)))
-      : entry[0](payload)
+    return promise
+  }
 
-    return result.then(res => {
-      try {
-        this._actionSubscribers
-          .filter(sub => sub.after)
-          .forEach(sub => sub.after(action, this.state))
-      } catch (e) {
-        if (process.env.NODE_ENV !== 'production') {
-          console.warn(`[vuex] error in after action subscribers: `)
-          console.error(e)
+  transaction (fn) {
+    // transactions started from within another one are nested in it,
+    // concurrent ones would restore each other's snapshot on rollback
+    const parent = this._transaction
+    if (!parent && this._transactionLog) {
+      throw new Error(`[vuex] cannot start a transaction while another one is pending.`)
+    }
+
+    if (!parent) {
+      this._transactionLog = []
+    }
+    const transaction = {
+      parent,
+      pending: true,
+      snapshot: takeStateSnapshot(this.state, this._modules.root),
+      start: this._transactionLog.length
+    }
+
+    const rollback = error => {
+      transaction.pending = false
+      transaction.failed = true
+      rollbackTransaction(this, transaction)
+      throw error
+    }
+
+    const done = res => {
+      transaction.pending = false
+      // nested transactions are committed along with the outer one
+      if (!parent) {
+        const mutations = this._transactionLog
+          .filter(entry => isPartOf(entry.transaction, transaction))
+          .map(entry => entry.mutation)
+        this._transactionLog = null
+        // notify subscribers once with all the mutations committed in the transaction
+        if (mutations.length) {
+          const mutation = { type: TRANSACTION, payload: mutations }
+          this._subscribers.forEach(sub => sub(mutation, this.state))
         }
       }
       return res
-    })
+    }
+
+    let result
+    try {
+      result = runInTransaction(this, transaction, () => fn(makeTransactionContext(this, transaction)))
+    } catch (e) {
+      rollback(e)
+    }
+    return isPromise(result)
+      ? result.then(done, rollback)
+      : done(result)
   }
 
   subscribe (fn) {
@@ -168,6 +253,18 @@ export class Store {
     return genericSubscribe(subs, this._actionSubscribers)
   }
 
+  subscribeModule (fn) {
+    return genericSubscribe(fn, this._moduleSubscribers)
+  }
+
+  useMutationMiddleware (fn) {
+    return genericSubscribe(fn, this._mutationMiddleware)
+  }
+
+  useActionMiddleware (fn) {
+    return genericSubscribe(fn, this._actionMiddleware)
+  }
+
   watch (getter, cb, options) {
     if (process.env.NODE_ENV !== 'production') {
       assert(typeof getter === 'function', `store.watch only accepts a function.`)
@@ -177,8 +274,84 @@ export class Store {
 
   replaceState (state) {
     this._withCommit(() => {
-      this._vm._data.$$state = state
+      setRootState(this, state)
+    })
+    notifyStateReplaced(this, [])
+  }
+
+  serialize ({ exclude = [] } = {}) {
+    exclude = exclude.map(path => typeof path === 'string' ? [path] : path)
+    const state = serializeState(this.state, [], this._modules.root, exclude)
+    return JSON.stringify(state).replace(UNSAFE_CHARS_RE, c => ESCAPED_CHARS[c])
+  }
+
+  hydrate (state) {
+    if (typeof state === 'string') {
+      state = JSON.parse(state)
+    }
+
+    if (process.env.NODE_ENV !== 'production') {
+      assert(isObject(state), `store.hydrate only accepts a serialized state or an Object.`)
+    }
+
+    this._withCommit(() => {
+      hydrateState(this.state, state, this._modules.root)
     })
+    notifyStateReplaced(this, [])
+  }
+
+  replaceModuleState (path, state) {
+    if (typeof path === 'string') path = [path]
+
+    if (process.env.NODE_ENV !== 'production') {
+      assert(Array.isArray(path), `module path must be a string or an Array.`)
+      assert(this._modules.has(path), `cannot replace the state of module '${path.join('/')}' which is not registered.`)
+      assert(isObject(state), `module state must be an Object.`)
+    }
+
+    this._withCommit(() => {
+      replaceStateInPlace(getNestedState(this.state, path), state, this._modules.get(path))
+    })
+    notifyStateReplaced(this, path)
+  }
+
+  mergeState (path, state) {
+    if (typeof path === 'string') path = [path]
+
+    if (process.env.NODE_ENV !== 'production') {
+      assert(Array.isArray(path), `module path must be a string or an Array.`)
+      assert(this._modules.has(path), `cannot merge the state of module '${path.join('/')}' which is not registered.`)
+      assert(isObject(state), `module state must be an Object.`)
+    }
+
+    this._withCommit(() => {
+      hydrateState(getNestedState(this.state, path), state, this._modules.get(path))
+    })
+    notifyStateReplaced(this, path)
+  }
+
+  reset () {
+    this.resetModule([])
+  }
+
+  resetModule (path) {
+    if (typeof path === 'string') path = [path]
+
+    if (process.env.NODE_ENV !== 'production') {
+      assert(Array.isArray(path), `module path must be a string or an Array.`)
+      assert(this._modules.has(path), `cannot reset module '${path.join('/')}' which is not registered.`)
+    }
+
+    const state = createInitialState(this._modules.get(path))
+    this._withCommit(() => {
+      if (path.length) {
+        const parentState = getNestedState(this.state, path.slice(0, -1))
+        Vue.set(parentState, path[path.length - 1], state)
+      } else {
+        setRootState(this, state)
+      }
+    })
+    notifyStateReplaced(this, path)
   }
 
   registerModule (path, rawModule, options = {}) {
@@ -189,30 +362,303 @@ export class Store {
       assert(path.length > 0, 'cannot register the root module by using registerModule.')
     }
 
+    const parentPath = path.slice(0, -1)
+    if (options.createParents) {
+      createParents(this, parentPath, options)
+    } else if (process.env.NODE_ENV !== 'production') {
+      assert(this._modules.has(parentPath), `cannot register module '${path.join('/')}' whose parent is not registered.`)
+    }
+
     this._modules.register(path, rawModule)
-    installModule(this, this.state, path, this._modules.get(path), options.preserveState)
-    // reset store to update getters...
-    resetStoreVM(this, this.state)
+    if (process.env.NODE_ENV !== 'production') {
+      try {
+        this._modules.assertRequirements(path)
+      } catch (e) {
+        this._modules.unregister(path)
+        removeEmptyPlaceholders(this, parentPath)
+        throw e
+      }
+    }
+    const module = this._modules.get(path)
+    installModule(this, this.state, path, module, options.preserveState || options.mergeState, options.mergeState)
+    applyModulePlugins(this, module)
+    this._moduleSubscribers.forEach(sub => sub({ type: 'register', path }, this.state))
+    callModuleHooks(this, module, 'onRegister')
+  }
+
+  /**
+   * Load a module definition with `loader` and register it, once.
+   * Until then, commits and dispatches aimed at its namespace are held.
+   */
+  ensureModule (path, loader, options) {
+    if (typeof path === 'string') path = [path]
+
+    if (process.env.NODE_ENV !== 'production') {
+      assert(Array.isArray(path), `module path must be a string or an Array.`)
+      assert(path.length > 0, 'cannot register the root module by using ensureModule.')
+      assert(typeof loader === 'function', `module loader must be a function.`)
+    }
+
+    if (this._modules.has(path)) {
+      return Promise.resolve()
+    }
+
+    const key = path.join('/')
+    if (this._pendingModules[key]) {
+      return this._pendingModules[key].promise
+    }
+
+    // the module is expected to be namespaced
+    const parent = this._modules.get(path.slice(0, -1))
+    const namespace = (parent ? this._modules.getNamespace(path.slice(0, -1)) : '') +
+      path[path.length - 1] + '/'
+
+    const pending = this._pendingModules[key] = { namespace }
+    pending.promise = new Promise(resolve => resolve(loader())).then(result => {
+      delete this._pendingModules[key]
+      // support ES modules, as returned by dynamic imports
+      const rawModule = result && result.default ? result.default : result
+      if (process.env.NODE_ENV !== 'production') {
+        // held mutations and actions would be unknown outside of its namespace
+        assert(
+          this._modules.has(path) || resolveRawModule(path, rawModule).namespaced,
+          `module '${key}' loaded by ensureModule should be namespaced.`
+        )
+      }
+      if (!this._modules.has(path)) {
+        this.registerModule(path, rawModule, options)
+      }
+    }, error => {
+      delete this._pendingModules[key]
+      throw error
+    })
+    return pending.promise
   }
 
-  unregisterModule (path) {
+  unregisterModule (path, options = {}) {
     if (typeof path === 'string') path = [path]
 
     if (process.env.NODE_ENV !== 'production') {
       assert(Array.isArray(path), `module path must be a string or an Array.`)
+      assert(path.length > 0 && this.hasModule(path), `cannot unregister module '${path.join('/')}' which is not registered.`)
     }
 
-    this._modules.unregister(path)
+    if (!path.length || !this.hasModule(path)) return
+
+    const parent = this._modules.get(path.slice(0, -1))
+    const key = path[path.length - 1]
+    const module = parent.getChild(key)
+
+    // modules declared in the store options are only removed when forced
+    if (!module.runtime && !options.force) {
+      if (process.env.NODE_ENV !== 'production') {
+        console.warn(
+          `[vuex] cannot unregister module '${path.join('/')}' which is declared in the store options, ` +
+          'use the force option to remove it.'
+        )
+      }
+      return
+    }
+
+    // modules which others depend on cannot be unregistered
+    const dependent = this._modules.findDependent(path)
+    if (dependent) {
+      if (process.env.NODE_ENV !== 'production') {
+        assert(false, `cannot unregister module '${path.join('/')}' which is required by module '${dependent.path.join('/')}'.`)
+      }
+      return
+    }
+
+    callModuleHooks(this, module, 'onUnregister')
+    teardownModulePlugins(module)
+    this._moduleSubscribers.forEach(sub => sub({ type: 'unregister', path }, this.state))
+    this._modules.unregister(path, options.force)
+    uninstallModule(this, module)
     this._withCommit(() => {
       const parentState = getNestedState(this.state, path.slice(0, -1))
-      Vue.delete(parentState, path[path.length - 1])
+      deleteState(parentState, key)
     })
-    resetStore(this)
+    removeEmptyPlaceholders(this, path.slice(0, -1))
+  }
+
+  hasModule (path) {
+    if (typeof path === 'string') path = [path]
+
+    if (process.env.NODE_ENV !== 'production') {
+      assert(Array.isArray(path), `module path must be a string or an Array.`)
+    }
+
+    return this._modules.has(path)
   }
 
-  hotUpdate (newOptions) {
-    this._modules.update(newOptions)
+  /**
+   * Move a runtime module and its state to another path.
+   * Its handlers are registered again under the new namespace.
+   */
+  moveModule (from, to) {
+    if (typeof from === 'string') from = [from]
+    if (typeof to === 'string') to = [to]
+
+    if (process.env.NODE_ENV !== 'production') {
+      assert(Array.isArray(from) && Array.isArray(to), `module path must be a string or an Array.`)
+      assert(this._modules.has(from), `cannot move module '${from.join('/')}' which is not registered.`)
+      assert(this._modules.get(from).runtime, `cannot move module '${from.join('/')}' which is not registered dynamically.`)
+      assert(to.length > 0 && this._modules.has(to.slice(0, -1)), `cannot move module to '${to.join('/')}' whose parent is not registered.`)
+      assert(!this._modules.has(to), `cannot move module to '${to.join('/')}' which is already registered.`)
+      assert(
+        to.length <= from.length || !from.every((key, i) => key === to[i]),
+        `cannot move module '${from.join('/')}' into itself.`
+      )
+    }
+
+    const dependent = this._modules.findDependent(from)
+    if (dependent) {
+      if (process.env.NODE_ENV !== 'production') {
+        assert(false, `cannot move module '${from.join('/')}' which is required by module '${dependent.path.join('/')}'.`)
+      }
+      return
+    }
+
+    const module = this._modules.get(from)
+    const fromKey = from[from.length - 1]
+    const toKey = to[to.length - 1]
+
+    this._moduleSubscribers.forEach(sub => sub({ type: 'unregister', path: from }, this.state))
+    uninstallModule(this, module)
+    this._modules.get(from.slice(0, -1)).removeChild(fromKey)
+    this._modules.get(to.slice(0, -1)).addChild(toKey, module)
+
+    // the state is moved before the handlers are installed, to be kept
+    this._withCommit(() => {
+      const fromParentState = getNestedState(this.state, from.slice(0, -1))
+      const state = fromParentState[fromKey]
+      deleteState(fromParentState, fromKey)
+      Vue.set(getNestedState(this.state, to.slice(0, -1)), toKey, state)
+    })
+    installModule(this, this.state, to, module, true)
+    this._moduleSubscribers.forEach(sub => sub({ type: 'register', path: to }, this.state))
+    removeEmptyPlaceholders(this, from.slice(0, -1))
+  }
+
+  /**
+   * Mount an instance of a namespaced module definition at `[name, key]`,
+   * with a fresh state. The `name` container module is registered if needed.
+   */
+  registerModuleInstance (name, definition, key, options) {
+    key = String(key)
+
+    if (process.env.NODE_ENV !== 'production') {
+      assert(typeof name === 'string', `module instance name must be a string.`)
+      assert(definition.namespaced, `module instances of '${name}' must be namespaced.`)
+      assert(
+        !this._modules.has([name, key]),
+        `module instance '${key}' of '${name}' is already registered.`
+      )
+    }
+
+    // the container is unregistered along with its last instance
+    if (!this._modules.root.getChild(name)) {
+      this.registerModule(name, { namespaced: true })
+      this._modules.get([name]).placeholder = true
+    }
+
+    this.registerModule([name, key], copyInstanceModule([name, key], definition), options)
+    this._modules.get([name, key]).instance = true
+  }
+
+  unregisterModuleInstance (name, key) {
+    this.unregisterModule([name, String(key)])
+  }
+
+  // keys of the instances registered in the `name` container module
+  getModuleInstances (name) {
+    const container = this._modules.root.getChild(name)
+    const keys = []
+    if (container) {
+      container.forEachChild((child, key) => {
+        if (child.instance) keys.push(key)
+      })
+    }
+    return keys
+  }
+
+  // the local context of an instance, along with its namespace for the helpers
+  getModuleInstance (name, key) {
+    const path = [name, String(key)]
+    const module = this._modules.get(path)
+    if (!module || !module.instance) return
+
+    // the local context is made again on hot update
+    const instance = {
+      key: path[1],
+      namespace: this._modules.getNamespace(path),
+      commit: (type, payload, options) => module.context.commit(type, payload, options),
+      dispatch: (type, payload, options) => module.context.dispatch(type, payload, options)
+    }
+    Object.defineProperties(instance, {
+      state: {
+        get: () => module.context.state
+      },
+      getters: {
+        get: () => module.context.getters
+      }
+    })
+    return instance
+  }
+
+  hotUpdate (path, newModule, options) {
+    // hotUpdate(newOptions, options) updates the root module
+    if (typeof path !== 'string' && !Array.isArray(path)) {
+      options = newModule
+      newModule = path
+      path = []
+    }
+    if (typeof path === 'string') path = [path]
+    options = options || {}
+
+    // pruned modules are torn down while their handlers are still installed
+    if (options.prune) {
+      this._modules.findPruned(newModule, path).forEach(({ path, module }) => {
+        callModuleHooks(this, module, 'onUnregister')
+        teardownModulePlugins(module)
+        this._moduleSubscribers.forEach(sub => sub({ type: 'unregister', path }, this.state))
+      })
+    }
+
+    // handlers are installed again from the updated modules
+    uninstallModule(this, this._modules.root)
+    const removed = this._modules.update(newModule, path, options.prune)
+    this._withCommit(() => {
+      removed.forEach(({ path }) => {
+        const parentState = getNestedState(this.state, path.slice(0, -1))
+        deleteState(parentState, path[path.length - 1])
+      })
+      migrateState(this, path, newModule, options.pruneState)
+    })
+
+    // modules which have never been installed are new
+    const updated = []
+    const added = []
+    const addedPaths = []
+    const collect = (module, modulePath, isNew) => {
+      if (module.context) {
+        updated.push(module)
+      } else {
+        added.push(module)
+        // subscribers are told about the topmost new modules only
+        if (!isNew) addedPaths.push(modulePath)
+      }
+      module.forEachChild((child, key) => collect(child, modulePath.concat(key), !module.context))
+    }
+    collect(this._modules.get(path), path, false)
+
     resetStore(this, true)
+    added.forEach(module => applyModulePlugins(this, module, false))
+    addedPaths.forEach(path => {
+      this._moduleSubscribers.forEach(sub => sub({ type: 'register', path }, this.state))
+    })
+    updated.forEach(module => callHook(this, module, 'onHotUpdate'))
+    added.forEach(module => callHook(this, module, 'onRegister'))
   }
 
   _withCommit (fn) {
@@ -235,11 +681,566 @@ function genericSubscribe (fn, subs) {
   }
 }
 
+// the state is changed without mutation, plugins saving it are told through module subscribers
+function notifyStateReplaced (store, path) {
+  store._moduleSubscribers.forEach(sub => sub({ type: 'replace', path }, store.state))
+}
+
+/**
+ * compose middleware into a single function, in registration order,
+ * each middleware receiving the next one in the chain, which returns
+ * the result of `getResult` if given
+ */
+function applyMiddleware (middleware, store, run, getResult) {
+  return middleware.reduceRight(
+    (next, fn) => target => fn(target, getResult ? target => {
+      next(target)
+      return getResult()
+    } : next, store),
+    run
+  )
+}
+
+function commitMutation (store, mutation, transaction) {
+  const { type, payload } = mutation
+  const entry = store._mutations[type]
+  if (!entry) {
+    if (process.env.NODE_ENV !== 'production') {
+      console.error(`[vuex] unknown mutation type: ${type}`)
+    }
+    return false
+  }
+  store._withCommit(() => {
+    entry.forEach(function commitIterator (handler) {
+      handler(payload)
+    })
+  })
+
+  // mutations committed after their transaction has ended are on their own
+  if (transaction && !isPending(transaction)) {
+    transaction = null
+  }
+  if (store._transactionLog) {
+    store._transactionLog.push({ mutation, transaction })
+  }
+  if (!transaction) {
+    store._subscribers.forEach(sub => sub(mutation, store.state))
+  }
+  return true
+}
+
+/**
+ * Run `fn` in the scope of a transaction: the mutations it commits,
+ * along with those of the actions it dispatches, are part of it.
+ */
+function runInTransaction (store, transaction, fn) {
+  const current = store._transaction
+  store._transaction = transaction
+  try {
+    return fn()
+  } finally {
+    store._transaction = current
+  }
+}
+
+function makeTransactionContext (store, transaction) {
+  const context = {
+    commit: (type, payload, options) => runInTransaction(store, transaction, () => store.commit(type, payload, options)),
+    dispatch: (type, payload) => runInTransaction(store, transaction, () => store.dispatch(type, payload)),
+    transaction: fn => runInTransaction(store, transaction, () => store.transaction(fn))
+  }
+  Object.defineProperties(context, {
+    state: {
+      get: () => store.state
+    },
+    getters: {
+      get: () => store.getters
+    }
+  })
+  return context
+}
+
+// a nested transaction is pending as long as the outermost one is
+function isPending (transaction) {
+  while (transaction.parent) {
+    transaction = transaction.parent
+  }
+  return transaction.pending
+}
+
+function isPartOf (transaction, outer) {
+  while (transaction && transaction !== outer) {
+    transaction = transaction.parent
+  }
+  return !!transaction
+}
+
+/**
+ * Restore the state from before the transaction, then commit again
+ * the mutations which have been committed since outside of it.
+ */
+function rollbackTransaction (store, transaction) {
+  // a nested transaction which outlived the outer one has been committed with it
+  if (transaction.parent && !isPending(transaction.parent)) return
+
+  const log = store._transactionLog
+  const others = log.slice(transaction.start).filter(entry => !isPartOf(entry.transaction, transaction))
+  log.length = transaction.start
+
+  store.replaceModuleState([], restoreStateSnapshot(transaction.snapshot, store._modules.root))
+  others.forEach(entry => {
+    const { type, payload } = entry.mutation
+    const handlers = store._mutations[type]
+    if (handlers) {
+      store._withCommit(() => handlers.forEach(handler => handler(payload)))
+    }
+    log.push(entry)
+  })
+
+  if (!transaction.parent) {
+    store._transactionLog = null
+  }
+}
+
+function runAction (store, action, signal) {
+  const { type, payload } = action
+  const entry = store._actions[type]
+  if (!entry) {
+    if (process.env.NODE_ENV !== 'production') {
+      console.error(`[vuex] unknown action type: ${type}`)
+    }
+    return
+  }
+
+  // a middleware may run the action again once it has been cancelled
+  if (signal.aborted) {
+    return Promise.reject(signal.reason)
+  }
+
+  try {
+    store._actionSubscribers
+      .filter(sub => sub.before)
+      .forEach(sub => sub.before(action, store.state))
+  } catch (e) {
+    if (process.env.NODE_ENV !== 'production') {
+      console.warn(`[vuex] error in before action subscribers: `)
+      console.error(e)
+    }
+  }
+
+  let settled = false
+  return new Promise((resolve, reject) => {
+    const onResolve = res => {
+      if (settled) return
+      settled = true
+      try {
+        store._actionSubscribers
+          .filter(sub => sub.after)
+          .forEach(sub => sub.after(action, store.state))
+      } catch (e) {
+        if (process.env.NODE_ENV !== 'production') {
+          console.warn(`[vuex] error in after action subscribers: `)
+          console.error(e)
+        }
+      }
+      resolve(res)
+    }
+    const onReject = error => {
+      if (settled) return
+      settled = true
+      try {
+        store._actionSubscribers
+          .filter(sub => sub.error)
+          .forEach(sub => sub.error(action, store.state, error))
+      } catch (e) {
+        if (process.env.NODE_ENV !== 'production') {
+          console.warn(`[vuex] error in error action subscribers: `)
+          console.error(e)
+        }
+      }
+      reject(error)
+    }
+
+    // settle as soon as the action is cancelled,
+    // regardless of whether its handlers honor the signal
+    signal.addEventListener('abort', () => onReject(signal.reason))
+
+    let result
+    try {
+      result = entry.length > 1
+        ? Promise.all(entry.map(handler => handler(payload, signal)))
+        : entry[0](payload, signal)
+    } catch (e) {
+      onReject(e)
+      return
+    }
+    result.then(onResolve, onReject)
+  })
+}
+
+// characters which would break out of, or are invalid in, an inline <script>
+const UNSAFE_CHARS_RE = /[<>/\u2028\u2029]/g
+const ESCAPED_CHARS = {
+  '<': '\\u003C',
+  '>': '\\u003E',
+  '/': '\\u002F',
+  '\u2028': '\\u2028',
+  '\u2029': '\\u2029'
+}
+
+function serializeState (state, path, module, exclude) {
+  const res = {}
+  forEachValue(state, (value, key) => {
+    const child = module.getChild(key)
+    if (!child) {
+      res[key] = value
+      return
+    }
+
+    const childPath = path.concat(key)
+    const excluded = child._rawModule.serverOnly || exclude.some(p => {
+      return p.length === childPath.length && p.every((key, i) => key === childPath[i])
+    })
+    if (!excluded) {
+      res[key] = serializeState(value, childPath, child, exclude)
+    }
+  })
+  return res
+}
+
+/**
+ * merge the given state into the current state tree module by module,
+ * so that the state of modules missing from it is preserved
+ */
+function hydrateState (state, newState, module) {
+  forEachValue(newState, (value, key) => {
+    const child = module.getChild(key)
+    if (child && isObject(state[key]) && isObject(value)) {
+      hydrateState(state[key], value, child)
+    } else {
+      Vue.set(state, key, value)
+    }
+  })
+}
+
+// add the values missing from the existing state, nested modules are merged when installed
+function mergeDefaultState (state, defaults, module) {
+  forEachValue(defaults, (value, key) => {
+    if (module && module.getChild(key)) return
+
+    if (!(key in state)) {
+      Vue.set(state, key, value)
+    } else if (isPlainObject(state[key]) && isPlainObject(value)) {
+      mergeDefaultState(state[key], value)
+    }
+  })
+}
+
+function isPlainObject (obj) {
+  return isObject(obj) && !Array.isArray(obj)
+}
+
+/**
+ * replace the state of a module in place, keeping the state of
+ * nested modules which are missing from the new state
+ */
+function replaceStateInPlace (state, newState, module) {
+  forEachValue(state, (value, key) => {
+    if (!module.getChild(key) && !(key in newState)) {
+      deleteState(state, key)
+    }
+  })
+  forEachValue(newState, (value, key) => {
+    const child = module.getChild(key)
+    if (child && isObject(state[key]) && isObject(value)) {
+      replaceStateInPlace(state[key], value, child)
+    } else {
+      Vue.set(state, key, value)
+    }
+  })
+}
+
+// the state of nested modules is kept apart, to leave out
+// the modules which are unregistered when it is restored
+function takeStateSnapshot (state, module) {
+  const snapshot = { state: {}, modules: {}}
+  forEachValue(state, (value, key) => {
+    const child = module.getChild(key)
+    if (child) {
+      snapshot.modules[key] = takeStateSnapshot(value, child)
+    } else {
+      snapshot.state[key] = deepCopy(value)
+    }
+  })
+  return snapshot
+}
+
+function restoreStateSnapshot (snapshot, module) {
+  const state = {}
+  forEachValue(snapshot.state, (value, key) => {
+    state[key] = value
+  })
+  forEachValue(snapshot.modules, (childSnapshot, key) => {
+    const child = module.getChild(key)
+    if (child) {
+      state[key] = restoreStateSnapshot(childSnapshot, child)
+    }
+  })
+  return state
+}
+
+function createInitialState (module) {
+  const state = module.createState()
+  module.forEachChild((child, key) => {
+    state[key] = createInitialState(child)
+  })
+  return state
+}
+
+function getPendingModule (store, type) {
+  for (const key in store._pendingModules) {
+    const pending = store._pendingModules[key]
+    if (type.indexOf(pending.namespace) === 0) {
+      return pending
+    }
+  }
+  return null
+}
+
+// state objects would be shared by the instances, nested modules' included,
+// along with the ones inherited from extends and mixins
+function copyInstanceModule (path, rawModule) {
+  rawModule = resolveRawModule(path, rawModule)
+  const copy = {}
+  forEachValue(rawModule, (value, key) => {
+    copy[key] = value
+  })
+  if (typeof rawModule.state !== 'function') {
+    copy.state = deepCopy(rawModule.state || {})
+  }
+  if (rawModule.modules) {
+    copy.modules = {}
+    forEachValue(rawModule.modules, (child, key) => {
+      copy.modules[key] = copyInstanceModule(path.concat(key), child)
+    })
+  }
+  return copy
+}
+
+// the held action can be cancelled before and after it is dispatched
+function holdDispatch (store, pending, type, payload) {
+  const canceler = createCanceler()
+  let dispatched = null
+  const promise = new Promise((resolve, reject) => {
+    canceler.signal.addEventListener('abort', () => reject(canceler.signal.reason))
+    pending.promise.then(() => {
+      if (canceler.signal.aborted) return
+      dispatched = store.dispatch(type, payload)
+      Promise.resolve(dispatched).then(resolve, reject)
+    }, reject)
+  })
+
+  promise.cancel = reason => {
+    if (!dispatched) {
+      canceler.cancel(createCancelError(type, reason))
+    } else if (dispatched.cancel) {
+      dispatched.cancel(reason)
+    }
+  }
+
+  return promise
+}
+
+/**
+ * Module plugins receive an API scoped to the module's namespace.
+ * Their subscriptions, and the function they may return,
+ * are torn down when the module is unregistered.
+ */
+function applyModulePlugins (store, module, deep = true) {
+  const plugins = module._rawModule.plugins
+  if (plugins) {
+    const teardowns = module._pluginTeardowns = []
+    plugins.forEach(plugin => {
+      const teardown = plugin(makeModulePluginContext(store, module, teardowns))
+      if (typeof teardown === 'function') {
+        teardowns.push(teardown)
+      }
+    })
+  }
+
+  if (deep) {
+    module.forEachChild(child => applyModulePlugins(store, child))
+  }
+}
+
+function teardownModulePlugins (module) {
+  module.forEachChild(teardownModulePlugins)
+
+  const teardowns = module._pluginTeardowns
+  if (teardowns) {
+    module._pluginTeardowns = null
+    teardowns.forEach(teardown => teardown())
+  }
+}
+
+function makeModulePluginContext (store, module, teardowns) {
+  // the namespace changes when the module is moved
+  const getNamespace = () => module._installed.namespace
+  const isLocal = type => type.slice(0, getNamespace().length) === getNamespace()
+  const toLocal = ({ type, payload }) => ({ type: type.slice(getNamespace().length), payload })
+  const track = unsubscribe => {
+    teardowns.push(unsubscribe)
+    return unsubscribe
+  }
+
+  // the local context is made again on hot update
+  const context = {
+    commit: (type, payload, options) => module.context.commit(type, payload, options),
+    dispatch: (type, payload, options) => module.context.dispatch(type, payload, options),
+
+    subscribe: fn => track(store.subscribe(mutation => {
+      if (mutation.type === TRANSACTION) {
+        const mutations = mutation.payload.filter(mutation => isLocal(mutation.type))
+        if (mutations.length) {
+          fn({ type: TRANSACTION, payload: mutations.map(toLocal) }, context.state)
+        }
+      } else if (isLocal(mutation.type)) {
+        fn(toLocal(mutation), context.state)
+      }
+    })),
+
+    subscribeAction: fn => {
+      const subs = typeof fn === 'function' ? { before: fn } : fn
+      const localSubs = {}
+      forEachValue(subs, (sub, key) => {
+        localSubs[key] = (action, state, error) => {
+          if (isLocal(action.type)) {
+            sub(toLocal(action), context.state, error)
+          }
+        }
+      })
+      return track(store.subscribeAction(localSubs))
+    }
+  }
+
+  Object.defineProperties(context, {
+    state: {
+      get: () => module.context.state
+    },
+    getters: {
+      get: () => module.context.getters
+    }
+  })
+
+  return context
+}
+
+/**
+ * Register empty placeholder modules for the missing parents of a module,
+ * they are removed along with their last nested module.
+ */
+function createParents (store, path, options) {
+  path.forEach((key, i) => {
+    const parentPath = path.slice(0, i + 1)
+    if (store._modules.has(parentPath)) return
+
+    store.registerModule(parentPath, {
+      namespaced: !!options.namespacedParents
+    }, { preserveState: options.preserveState })
+    store._modules.get(parentPath).placeholder = true
+  })
+}
+
+function removeEmptyPlaceholders (store, path) {
+  const module = store._modules.get(path)
+  if (module && module.placeholder && !module.hasChildren()) {
+    store.unregisterModule(path)
+  }
+}
+
+/**
+ * Call a lifecycle hook of the module and its nested modules,
+ * parents first when registering and last when unregistering.
+ */
+function callModuleHooks (store, module, name) {
+  if (name === 'onUnregister') {
+    module.forEachChild(child => callModuleHooks(store, child, name))
+    callHook(store, module, name)
+  } else {
+    callHook(store, module, name)
+    module.forEachChild(child => callModuleHooks(store, child, name))
+  }
+}
+
+function callHook (store, module, name) {
+  const hook = module._rawModule[name]
+  if (hook) {
+    hook.call(store, makeHookContext(store, module.context))
+  }
+}
+
+// the local context, along with the root state and getters, read lazily
+function makeHookContext (store, local) {
+  const context = {
+    dispatch: local.dispatch,
+    commit: local.commit
+  }
+  Object.defineProperties(context, {
+    state: {
+      get: () => local.state
+    },
+    getters: {
+      get: () => local.getters
+    },
+    rootState: {
+      get: () => store.state
+    },
+    rootGetters: {
+      get: () => store.getters
+    }
+  })
+  return context
+}
+
+/**
+ * Bring the state of hot updated modules in line with their new state:
+ * keys which are new are added, existing values are kept and,
+ * when pruning, keys which have been removed are deleted.
+ */
+function migrateState (store, path, rawModule, prune) {
+  const module = store._modules.get(path)
+  const state = getNestedState(store.state, path)
+
+  if (rawModule.state) {
+    const newState = module.createState()
+    forEachValue(newState, (value, key) => {
+      if (!(key in state)) {
+        Vue.set(state, key, value)
+      }
+    })
+    if (prune) {
+      Object.keys(state).forEach(key => {
+        if (!(key in newState) && !module.getChild(key)) {
+          deleteState(state, key)
+        }
+      })
+    }
+  }
+
+  forEachValue(rawModule.modules || {}, (rawChild, key) => {
+    // newly added modules get their whole state when installed
+    if (module.getChild(key) && key in state) {
+      migrateState(store, path.concat(key), rawChild, prune)
+    }
+  })
+}
+
 function resetStore (store, hot) {
   store._actions = Object.create(null)
   store._mutations = Object.create(null)
   store._wrappedGetters = Object.create(null)
   store._modulesNamespaceMap = Object.create(null)
+  store._makeLocalGettersCache = Object.create(null)
   const state = store.state
   // init all modules
   installModule(store, state, [], store._modules.root, true)
@@ -250,33 +1251,13 @@ function resetStore (store, hot) {
 function resetStoreVM (store, state, hot) {
   const oldVm = store._vm
 
-  // bind store public getters
-  store.getters = {}
-  const wrappedGetters = store._wrappedGetters
-  const computed = {}
-  forEachValue(wrappedGetters, (fn, key) => {
-    // use computed to leverage its lazy-caching mechanism
-    // direct inline function use will lead to closure preserving oldVm.
-    // using partial to return function with only arguments preserved in closure enviroment.
-    computed[key] = partial(fn, store)
-    Object.defineProperty(store.getters, key, {
-      get: () => store._vm[key],
-      enumerable: true // for local getters
-    })
-  })
-
   // use a Vue instance to store the state tree
-  // suppress warnings just in case the user has added
-  // some funky global mixins
-  const silent = Vue.config.silent
-  Vue.config.silent = true
-  store._vm = new Vue({
+  store._vm = createSilentVM({
     data: {
-      $$state: state
-    },
-    computed
+      $$state: state,
+      $$gettersState: makeGettersState(store, state)
+    }
   })
-  Vue.config.silent = silent
 
   // enable strict mode for new vm
   if (store.strict) {
@@ -289,13 +1270,148 @@ function resetStoreVM (store, state, hot) {
       // to force getter re-evaluation for hot reloading.
       store._withCommit(() => {
         oldVm._data.$$state = null
+        oldVm._data.$$gettersState = null
       })
     }
     Vue.nextTick(() => oldVm.$destroy())
   }
 }
 
-function installModule (store, rootState, path, module, hot) {
+function setRootState (store, state) {
+  store._vm._data.$$state = state
+  store._vm._data.$$gettersState = makeGettersState(store, state)
+}
+
+/**
+ * Reading `$$state` makes a getter depend on the keys of the root state,
+ * so registering a top-level module would invalidate all of the getters.
+ * Instead, they read it through a frozen reference, which is not observed,
+ * and only depend on the keys they read. Reading a missing key goes up
+ * the prototype chain, where it still depends on the keys of the root state,
+ * to see it being added.
+ */
+function makeGettersState (store, state) {
+  if (typeof Proxy === 'undefined' || !isObject(state)) return null
+  trapMissingKeys(store, state)
+  return Object.freeze({ state })
+}
+
+const missingKeyTraps = typeof WeakSet !== 'undefined' ? new WeakSet() : null
+
+function trapMissingKeys (store, state) {
+  const proto = Object.getPrototypeOf(state)
+  if (!missingKeyTraps || missingKeyTraps.has(proto)) return
+
+  const depend = () => store._vm && store._vm._data.$$state
+  const trap = new Proxy(proto || Object.create(null), {
+    get (target, key, receiver) {
+      if (!(key in target)) depend()
+      return Reflect.get(target, key, receiver)
+    },
+    has (target, key) {
+      if (!(key in target)) depend()
+      return key in target
+    }
+  })
+  missingKeyTraps.add(trap)
+  Object.setPrototypeOf(state, trap)
+}
+
+function getGettersRootState (store) {
+  const ref = store._vm._data.$$gettersState
+  return ref ? ref.state : store.state
+}
+
+// notify the getters which have read the key, they do not depend on the keys of the state
+function deleteState (state, key) {
+  state[key] = undefined
+  Vue.delete(state, key)
+}
+
+// suppress warnings just in case the user has added
+// some funky global mixins
+function createSilentVM (options) {
+  const silent = Vue.config.silent
+  Vue.config.silent = true
+  const vm = new Vue(options)
+  Vue.config.silent = silent
+  return vm
+}
+
+/**
+ * Each module owns a vm holding its getters as computed properties,
+ * so that registering or unregistering a module leaves
+ * the cached values of the other getters untouched.
+ */
+function installGetters (store, module, types) {
+  const computed = {}
+  types.forEach(type => {
+    // use computed to leverage its lazy-caching mechanism
+    // direct inline function use will lead to closure preserving the vm.
+    // using partial to return function with only arguments preserved in closure enviroment.
+    computed[type] = partial(store._wrappedGetters[type], store)
+  })
+
+  if (!types.length) return
+
+  // the local getters of the namespaces have to be made again
+  store._makeLocalGettersCache = Object.create(null)
+
+  const vm = module._gettersVM = createSilentVM({ computed })
+  types.forEach(type => {
+    Object.defineProperty(store.getters, type, {
+      get: () => vm[type],
+      enumerable: true, // for local getters
+      configurable: true // to be removed along with the module
+    })
+  })
+}
+
+/**
+ * Remove what installModule has added for the module and its children,
+ * the state excepted.
+ */
+function uninstallModule (store, module) {
+  module.forEachChild(child => uninstallModule(store, child))
+
+  const installed = module._installed
+  if (!installed) return
+  module._installed = null
+
+  installed.mutations.forEach(({ type, handler }) => removeHandler(store._mutations, type, handler))
+  installed.actions.forEach(({ type, handler }) => removeHandler(store._actions, type, handler))
+  installed.getters.forEach(type => {
+    delete store._wrappedGetters[type]
+    delete store.getters[type]
+  })
+  if (installed.getters.length) {
+    store._makeLocalGettersCache = Object.create(null)
+  }
+
+  if (store._modulesNamespaceMap[installed.namespace] === module) {
+    delete store._modulesNamespaceMap[installed.namespace]
+  }
+
+  const vm = module._gettersVM
+  if (vm) {
+    module._gettersVM = null
+    Vue.nextTick(() => vm.$destroy())
+  }
+}
+
+function removeHandler (handlers, type, handler) {
+  const entry = handlers[type]
+  if (!entry) return
+  const i = entry.indexOf(handler)
+  if (i > -1) {
+    entry.splice(i, 1)
+  }
+  if (!entry.length) {
+    delete handlers[type]
+  }
+}
+
+function installModule (store, rootState, path, module, hot, mergeState) {
   const isRoot = !path.length
   const namespace = store._modules.getNamespace(path)
 
@@ -307,35 +1423,66 @@ function installModule (store, rootState, path, module, hot) {
     store._modulesNamespaceMap[namespace] = module
   }
 
-  // set state
-  if (!isRoot && !hot) {
+  // set state, hot installs keep the existing one if any
+  if (!isRoot) {
     const parentState = getNestedState(rootState, path.slice(0, -1))
     const moduleName = path[path.length - 1]
-    store._withCommit(() => {
-      Vue.set(parentState, moduleName, module.state)
-    })
+    if (!hot || !(moduleName in parentState)) {
+      store._withCommit(() => {
+        Vue.set(parentState, moduleName, module.state)
+      })
+    } else if (mergeState) {
+      store._withCommit(() => {
+        mergeDefaultState(parentState[moduleName], module.state, module)
+      })
+    }
   }
 
-  const local = module.context = makeLocalContext(store, namespace, path)
+  const local = module.context = makeLocalContext(store, module, namespace, path)
+
+  // keep track of what the module owns to be able to uninstall it
+  const installed = module._installed = {
+    namespace,
+    path,
+    mutations: [],
+    actions: [],
+    getters: []
+  }
 
   module.forEachMutation((mutation, key) => {
     const namespacedType = namespace + key
-    registerMutation(store, namespacedType, mutation, local)
+    installed.mutations.push({
+      type: namespacedType,
+      handler: registerMutation(store, namespacedType, mutation, local)
+    })
   })
 
   module.forEachAction((action, key) => {
     const type = action.root ? key : namespace + key
     const handler = action.handler || action
-    registerAction(store, type, handler, local)
+    installed.actions.push({
+      type,
+      handler: registerAction(store, type, handler, local)
+    })
   })
 
+  // modules declaring their dependencies are warned about the other ones
+  const getRootState = process.env.NODE_ENV !== 'production' && module.requires.length && typeof Proxy !== 'undefined'
+    ? makeRootStateGuard(store, path, module)
+    : () => getGettersRootState(store)
+  const getLocalState = () => getNestedState(getGettersRootState(store), path)
+
   module.forEachGetter((getter, key) => {
     const namespacedType = namespace + key
-    registerGetter(store, namespacedType, getter, local)
+    if (registerGetter(store, namespacedType, getter, local, getLocalState, getRootState)) {
+      installed.getters.push(namespacedType)
+    }
   })
 
+  installGetters(store, module, installed.getters)
+
   module.forEachChild((child, key) => {
-    installModule(store, rootState, path.concat(key), child, hot)
+    installModule(store, rootState, path.concat(key), child, hot, mergeState)
   })
 }
 
@@ -343,8 +1490,11 @@ function installModule (store, rootState, path, module, hot) {
  * make localized dispatch, commit, getters and state
  * if there is no namespace, just use root ones
  */
-function makeLocalContext (store, namespace, path) {
+function makeLocalContext (store, module, namespace, path) {
   const noNamespace = namespace === ''
+  // the module may be moved while its actions are running,
+  // so the namespace and path are read from where it is installed
+  const getInstalled = () => module._installed || { namespace, path }
 
   const local = {
     dispatch: noNamespace ? store.dispatch : (_type, _payload, _options) => {
@@ -353,8 +1503,8 @@ function makeLocalContext (store, namespace, path) {
       let { type } = args
 
       if (!options || !options.root) {
-        type = namespace + type
-        if (process.env.NODE_ENV !== 'production' && !store._actions[type]) {
+        type = getInstalled().namespace + type
+        if (process.env.NODE_ENV !== 'production' && !store._actions[type] && !getPendingModule(store, type)) {
           console.error(`[vuex] unknown local action type: ${args.type}, global type: ${type}`)
           return
         }
@@ -369,8 +1519,8 @@ function makeLocalContext (store, namespace, path) {
       let { type } = args
 
       if (!options || !options.root) {
-        type = namespace + type
-        if (process.env.NODE_ENV !== 'production' && !store._mutations[type]) {
+        type = getInstalled().namespace + type
+        if (process.env.NODE_ENV !== 'production' && !store._mutations[type] && !getPendingModule(store, type)) {
           console.error(`[vuex] unknown local mutation type: ${args.type}, global type: ${type}`)
           return
         }
@@ -386,10 +1536,10 @@ function makeLocalContext (store, namespace, path) {
     getters: {
       get: noNamespace
         ? () => store.getters
-        : () => makeLocalGetters(store, namespace)
+        : () => makeLocalGetters(store, getInstalled().namespace)
     },
     state: {
-      get: () => getNestedState(store.state, path)
+      get: () => getNestedState(store.state, getInstalled().path)
     }
   })
 
@@ -397,6 +1547,11 @@ function makeLocalContext (store, namespace, path) {
 }
 
 function makeLocalGetters (store, namespace) {
+  // the proxies are cached until getters are added or removed
+  if (store._makeLocalGettersCache[namespace]) {
+    return store._makeLocalGettersCache[namespace]
+  }
+
   const gettersProxy = {}
 
   const splitPos = namespace.length
@@ -416,27 +1571,55 @@ function makeLocalGetters (store, namespace) {
     })
   })
 
+  store._makeLocalGettersCache[namespace] = gettersProxy
   return gettersProxy
 }
 
+function makeRootStateGuard (store, path, module) {
+  const allowed = [path[0]].concat(module.requires.map(required => required[0]))
+  const warned = Object.create(null)
+  return () => new Proxy(getGettersRootState(store), {
+    get (state, key) {
+      if (
+        typeof key === 'string' &&
+        !warned[key] &&
+        allowed.indexOf(key) < 0 &&
+        store._modules.root.getChild(key)
+      ) {
+        warned[key] = true
+        console.warn(`[vuex] module '${path.join('/')}' reads the state of module '${key}' which it does not require.`)
+      }
+      return state[key]
+    }
+  })
+}
+
 function registerMutation (store, type, handler, local) {
   const entry = store._mutations[type] || (store._mutations[type] = [])
-  entry.push(function wrappedMutationHandler (payload) {
+  const wrappedHandler = function wrappedMutationHandler (payload) {
     handler.call(store, local.state, payload)
-  })
+  }
+  entry.push(wrappedHandler)
+  return wrappedHandler
 }
 
 function registerAction (store, type, handler, local) {
   const entry = store._actions[type] || (store._actions[type] = [])
-  entry.push(function wrappedActionHandler (payload, cb) {
+  const wrappedHandler = function wrappedActionHandler (payload, signal) {
+    // keep the transaction the action has been dispatched in after it awaits
+    const transaction = store._transaction
+    const inTransaction = fn => transaction
+      ? (...args) => runInTransaction(store, transaction, () => fn(...args))
+      : fn
     let res = handler.call(store, {
-      dispatch: local.dispatch,
-      commit: local.commit,
+      dispatch: inTransaction(local.dispatch),
+      commit: inTransaction(local.commit),
       getters: local.getters,
       state: local.state,
       rootGetters: store.getters,
-      rootState: store.state
-    }, payload, cb)
+      rootState: store.state,
+      signal
+    }, payload)
     if (!isPromise(res)) {
       res = Promise.resolve(res)
     }
@@ -448,24 +1631,27 @@ function registerAction (store, type, handler, local) {
     } else {
       return res
     }
-  })
+  }
+  entry.push(wrappedHandler)
+  return wrappedHandler
 }
 
-function registerGetter (store, type, rawGetter, local) {
+function registerGetter (store, type, rawGetter, local, getLocalState, getRootState) {
   if (store._wrappedGetters[type]) {
     if (process.env.NODE_ENV !== 'production') {
       console.error(`[vuex] duplicate getter key: ${type}`)
     }
-    return
+    return false
   }
   store._wrappedGetters[type] = function wrappedGetter (store) {
     return rawGetter(
-      local.state, // local state
+      getLocalState(), // local state
       local.getters, // local getters
-      store.state, // root state
+      getRootState(), // root state
       store.getters // root getters
     )
   }
+  return true
 }
 
 function enableStrictMode (store) {
@@ -476,12 +1662,6 @@ function enableStrictMode (store) {
   }, { deep: true, sync: true })
 }
 
-function getNestedState (state, path) {
-  return path.length
-    ? path.reduce((state, key) => state[key], state)
-    : state
-}
-
 function unifyObjectStyle (type, payload, options) {
   if (isObject(type) && type.type) {
     options = payload
@@ -1,3 +1,9 @@
+/**
+ * Type of the mutation that subscribers are notified with
+ * once a transaction has been committed.
+ */
+export const TRANSACTION = '@@vuex/transaction'
+
 /**
  * Get the first item that pass the test
  * by second argument function
@@ -53,6 +59,17 @@ export function forEachValue (obj, fn) {
   Object.keys(obj).forEach(key => fn(obj[key], key))
 }
 
+/**
+ * Get the state of the module at the given path
+ *
+ * @param {Object} state
+ * @param {Array<String>} path
+ * @return {Object}
+ */
+export function getNestedState (state, path) {
+  return path.reduce((state, key) => state[key], state)
+}
+
 export function isObject (obj) {
   return obj !== null && typeof obj === 'object'
 }
@@ -61,6 +78,58 @@ export function isPromise (val) {
   return val && typeof val.then === 'function'
 }
 
+/**
+ * Create a cancellation handle. Its `signal` mimics the `AbortSignal`
+ * interface so it can be passed around without requiring native support.
+ *
+ * @return {{ signal: Object, cancel: Function }}
+ */
+export function createCanceler () {
+  const listeners = []
+  const signal = {
+    aborted: false,
+    reason: undefined,
+    onabort: null,
+    addEventListener (type, fn) {
+      if (type === 'abort' && listeners.indexOf(fn) < 0) {
+        listeners.push(fn)
+      }
+    },
+    removeEventListener (type, fn) {
+      const i = listeners.indexOf(fn)
+      if (type === 'abort' && i > -1) {
+        listeners.splice(i, 1)
+      }
+    }
+  }
+
+  return {
+    signal,
+    cancel (reason) {
+      if (signal.aborted) return
+      signal.aborted = true
+      signal.reason = reason
+      const event = { type: 'abort', target: signal }
+      if (typeof signal.onabort === 'function') {
+        signal.onabort(event)
+      }
+      listeners.slice().forEach(fn => fn(event))
+    }
+  }
+}
+
+export function createCancelError (type, reason) {
+  const error = new Error(`[vuex] action ${type} has been cancelled.`)
+  error.name = 'CancelError'
+  error.reason = reason
+  error.__vuexCancel = true
+  return error
+}
+
+export function isCancel (error) {
+  return !!(error && error.__vuexCancel)
+}
+
 export function assert (condition, msg) {
   if (!condition) throw new Error(`[vuex] ${msg}`)
 }
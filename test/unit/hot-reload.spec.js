@@ -289,25 +289,254 @@ describe('Hot Reload', () => {
     }
   })
 
-  it('provide warning if a new module is given', () => {
+  it('add new modules', () => {
     const store = new Vuex.Store({})
 
-    spyOn(console, 'warn')
-
     store.hotUpdate({
       modules: {
         test: {
+          namespaced: true,
           state: {
             count: 0
+          },
+          getters: {
+            double: state => state.count * 2
+          },
+          mutations: {
+            inc: state => state.count++
+          },
+          modules: {
+            nested: {
+              state: { value: 1 }
+            }
+          }
+        }
+      }
+    })
+
+    expect(store.state.test.count).toBe(0)
+    expect(store.state.test.nested.value).toBe(1)
+    store.commit('test/inc')
+    expect(store.state.test.count).toBe(1)
+    expect(store.getters['test/double']).toBe(2)
+  })
+
+  it('remove deleted modules and handlers with prune option', () => {
+    // prevent to print notification of unknown mutation
+    spyOn(console, 'error')
+
+    const store = new Vuex.Store({
+      state: { value: 1 },
+      mutations: {
+        inc: state => state.value++
+      },
+      getters: {
+        double: state => state.value * 2
+      },
+      modules: {
+        a: {
+          state: { value: 1 }
+        },
+        b: {
+          state: { value: 2 }
+        }
+      }
+    })
+    store.registerModule('c', {
+      state: { value: 3 }
+    })
+
+    store.hotUpdate({
+      modules: {
+        a: {
+          state: { value: 1 }
+        }
+      }
+    }, { prune: true })
+
+    expect(store.state.value).toBe(1)
+    expect(store.state.a.value).toBe(1)
+    expect(store.state.b).toBeUndefined()
+    // modules registered at runtime are kept
+    expect(store.state.c.value).toBe(3)
+    expect(store.getters.double).toBeUndefined()
+    store.commit('inc')
+    expect(store.state.value).toBe(1)
+  })
+
+  it('keep the handlers missing from the new module without prune option', () => {
+    const store = new Vuex.Store({
+      state: { value: 1 },
+      mutations: {
+        inc: state => state.value++
+      },
+      modules: {
+        a: {
+          state: { value: 1 }
+        }
+      }
+    })
+
+    store.hotUpdate({
+      getters: {
+        double: state => state.value * 2
+      }
+    })
+
+    store.commit('inc')
+    expect(store.state.value).toBe(2)
+    expect(store.getters.double).toBe(4)
+    expect(store.state.a.value).toBe(1)
+  })
+
+  it('update a runtime registered module by path', () => {
+    const store = new Vuex.Store({})
+    store.registerModule('a', {
+      namespaced: true,
+      state: { value: 1 },
+      mutations: {
+        inc: state => state.value++
+      }
+    })
+
+    store.hotUpdate('a', {
+      namespaced: true,
+      mutations: {
+        inc: state => { state.value += 10 }
+      },
+      modules: {
+        b: {
+          state: { value: 2 }
+        }
+      }
+    })
+
+    store.commit('a/inc')
+    expect(store.state.a.value).toBe(11)
+    expect(store.state.a.b.value).toBe(2)
+
+    store.unregisterModule(['a', 'b'])
+    expect(store.state.a.b).toBeUndefined()
+  })
+
+  it('merge new state keys', () => {
+    const store = new Vuex.Store({
+      state: { a: 1 },
+      modules: {
+        foo: {
+          state: () => ({ count: 0 }),
+          getters: {
+            label: state => state.count + state.unit
+          }
+        }
+      }
+    })
+    store.state.a = 2
+    store.state.foo.count = 3
+
+    store.hotUpdate({
+      state: { a: 1, b: 1 },
+      modules: {
+        foo: {
+          state: () => ({ count: 0, unit: 'px' }),
+          getters: {
+            label: state => state.count + state.unit
+          }
+        }
+      }
+    })
+
+    expect(store.state.a).toBe(2)
+    expect(store.state.b).toBe(1)
+    expect(store.state.foo.count).toBe(3)
+    expect(store.getters.label).toBe('3px')
+
+    // new state is used for resetting
+    store.resetModule('foo')
+    expect(store.state.foo.unit).toBe('px')
+  })
+
+  it('remove deleted state keys with pruneState option', () => {
+    const store = new Vuex.Store({
+      modules: {
+        foo: {
+          state: { count: 0, old: true },
+          modules: {
+            bar: {
+              state: { value: 1 }
+            }
+          }
+        }
+      }
+    })
+
+    store.hotUpdate({
+      modules: {
+        foo: {
+          state: { count: 1 }
+        }
+      }
+    }, { pruneState: true })
+
+    expect(store.state.foo.count).toBe(0)
+    expect('old' in store.state.foo).toBe(false)
+    // state of nested modules is kept
+    expect(store.state.foo.bar.value).toBe(1)
+  })
+
+  it('call lifecycle hooks', () => {
+    const calls = []
+    const store = new Vuex.Store({
+      modules: {
+        a: {
+          onHotUpdate: () => calls.push('old a')
+        },
+        b: {
+          onUnregister: () => calls.push('unregister b')
+        }
+      }
+    })
+
+    store.hotUpdate({
+      modules: {
+        a: {
+          onHotUpdate: context => {
+            // the local context made again on hot update
+            expect(context.commit).toBe(store._modules.get(['a']).context.commit)
+            calls.push('update a')
+          }
+        },
+        c: {
+          onRegister: () => calls.push('register c'),
+          onHotUpdate: () => calls.push('update c')
+        }
+      }
+    }, { prune: true })
+
+    expect(calls).toEqual(['unregister b', 'update a', 'register c'])
+  })
+
+  it('call onUnregister before pruning the handlers of the module', () => {
+    spyOn(console, 'error')
+    const store = new Vuex.Store({
+      modules: {
+        poll: {
+          namespaced: true,
+          state: { polling: true },
+          mutations: {
+            stop: state => { state.polling = false }
+          },
+          onUnregister: ({ commit, state }) => {
+            commit('stop')
+            expect(state.polling).toBe(false)
           }
         }
       }
     })
 
-    expect(console.warn).toHaveBeenCalledWith(
-      '[vuex] trying to add a new module \'test\' on hot reloading, ' +
-      'manual reload is needed'
-    )
+    store.hotUpdate({ modules: {}}, { prune: true })
+    expect(store.state.poll).toBeUndefined()
+    expect(console.error).not.toHaveBeenCalled()
   })
 
   it('update namespace', () => {
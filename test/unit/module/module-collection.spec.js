@@ -22,6 +22,8 @@ describe('ModuleCollection', () => {
     expect(collection.get(['a']).state.value).toBe(2)
     expect(collection.get(['b']).state.value).toBe(3)
     expect(collection.get(['b', 'c']).state.value).toBe(4)
+    expect(collection.get(['a', 'c'])).toBeUndefined()
+    expect(collection.get(['d', 'c'])).toBeUndefined()
   })
 
   it('getNamespace', () => {
@@ -92,4 +94,121 @@ describe('ModuleCollection', () => {
     collection.unregister(['a'])
     expect(collection.get(['a']).state.value).toBe(true)
   })
+
+  it('unregister initial modules with force', () => {
+    const collection = new ModuleCollection({
+      modules: {
+        a: {
+          state: { value: true }
+        }
+      }
+    })
+    collection.unregister(['a'], true)
+    expect(collection.get(['a'])).toBe(undefined)
+  })
+
+  it('asserts unknown modules on unregister', () => {
+    const collection = new ModuleCollection({})
+    expect(() => {
+      collection.unregister(['a', 'b'])
+    }).toThrowError(/\[vuex\] cannot unregister module 'a\/b' which is not registered/)
+  })
+
+  it('register with extends and mixins', () => {
+    const loading = {
+      state: () => ({ loading: false }),
+      mutations: {
+        setLoading: () => {}
+      }
+    }
+    const pagination = {
+      state: { page: 1, items: [] },
+      getters: {
+        page: () => {}
+      },
+      modules: {
+        filters: { state: { query: '' }}
+      }
+    }
+    const crud = {
+      namespaced: true,
+      mixins: [loading],
+      actions: {
+        fetch: () => {}
+      }
+    }
+    const fetch = () => {}
+
+    const collection = new ModuleCollection({
+      modules: {
+        users: {
+          extends: crud,
+          mixins: [pagination],
+          state: { page: 0 },
+          actions: { fetch }
+        },
+        posts: {
+          mixins: [pagination]
+        }
+      }
+    })
+
+    const users = collection.get(['users'])
+    expect(users.namespaced).toBe(true)
+    expect(users.state).toEqual({ loading: false, page: 0, items: [] })
+    expect(users._rawModule.getters.page).toBe(pagination.getters.page)
+    expect(users._rawModule.mutations.setLoading).toBe(loading.mutations.setLoading)
+    expect(users._rawModule.actions.fetch).toBe(fetch)
+    expect(collection.get(['users', 'filters']).state).toEqual({ query: '' })
+
+    // each module has its own state
+    const posts = collection.get(['posts'])
+    expect(posts.state.items).not.toBe(users.state.items)
+    expect(posts.state.items).not.toBe(pagination.state.items)
+  })
+
+  it('asserts conflicting keys of extends and mixins', () => {
+    const a = { getters: { foo: () => {} }}
+    const b = { getters: { foo: () => {} }}
+    const collection = new ModuleCollection({})
+
+    expect(() => {
+      collection.register(['c'], { extends: a, mixins: [b] })
+    }).toThrowError(/"getters\.foo" is inherited more than once from extends and mixins in module "c"/)
+
+    expect(() => {
+      collection.register(['d'], {
+        mixins: [{ state: { value: 1 }}, { state: () => ({ value: 2 }) }]
+      })
+    }).toThrowError(/"state\.value" is inherited more than once/)
+
+    // own keys override the inherited ones
+    expect(() => {
+      collection.register(['e'], { extends: a, getters: { foo: () => {} }})
+    }).not.toThrow()
+  })
+
+  it('asserts missing required modules', () => {
+    expect(() => {
+      new ModuleCollection({
+        modules: {
+          a: {
+            modules: {
+              b: { requires: ['a/c', 'd'] },
+              c: {}
+            }
+          }
+        }
+      })
+    }).toThrowError(/module 'a\/b' requires module 'd' which is not registered/)
+
+    expect(() => {
+      new ModuleCollection({
+        modules: {
+          a: { requires: [['b', 'c']] },
+          b: { modules: { c: {}}}
+        }
+      })
+    }).not.toThrow()
+  })
 })
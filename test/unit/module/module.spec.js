@@ -15,6 +15,19 @@ describe('Module', () => {
     expect(module.state).toEqual({})
   })
 
+  it('create state', () => {
+    const rawState = { value: { nested: true }}
+    let module = new Module({ state: rawState })
+    module.state.value.nested = false
+    expect(module.createState()).toEqual({ value: { nested: true }})
+    expect(module.createState()).not.toBe(rawState)
+
+    const spy = jasmine.createSpy().and.callFake(() => ({ value: 1 }))
+    module = new Module({ state: spy })
+    expect(module.createState()).toEqual({ value: 1 })
+    expect(spy).toHaveBeenCalledTimes(2)
+  })
+
   it('get namespacer: no namespace option', () => {
     const module = new Module({})
     expect(module.namespaced).toBe(false)
@@ -109,7 +122,19 @@ describe('Module', () => {
     expect(module._rawModule.mutations).toEqual(newObject.mutations)
     expect(module._rawModule.getters).toEqual(newObject.getters)
     expect(module._rawModule.namespaced).toEqual(newObject.namespaced)
-    expect(module._rawModule.state).toEqual(originObject.state)
+    expect(module._rawModule.state).toEqual(newObject.state)
+    expect(module.createState()).toEqual(newObject.state)
+  })
+
+  it('hasChildren method', () => {
+    const module = new Module({})
+    expect(module.hasChildren()).toBe(false)
+
+    module.addChild('v1', new Module({}))
+    expect(module.hasChildren()).toBe(true)
+
+    module.removeChild('v1')
+    expect(module.hasChildren()).toBe(false)
   })
 
   it('forEachChild method', () => {
@@ -2,6 +2,7 @@ import Vue from 'vue'
 import Vuex from '../../dist/vuex.common.js'
 
 const TEST = 'TEST'
+const isSSR = process.env.VUE_ENV === 'server'
 
 describe('Modules', () => {
   describe('module registration', () => {
@@ -102,6 +103,647 @@ describe('Modules', () => {
       store.commit('a/foo')
       expect(mutationSpy).toHaveBeenCalled()
     })
+
+    it('dynamic module registration merging hydrated state', () => {
+      const store = new Vuex.Store({})
+      store.replaceState({
+        a: {
+          foo: 'state',
+          options: { theme: 'dark' },
+          list: [1],
+          b: { value: 'state' }
+        }
+      })
+
+      store.registerModule('a', {
+        namespaced: true,
+        state: () => ({
+          foo: 'default',
+          bar: 'default',
+          options: { theme: 'light', size: 'big' },
+          list: [2, 3]
+        }),
+        getters: { bar: state => state.bar },
+        modules: {
+          b: {
+            state: () => ({ value: 'default', added: true })
+          },
+          c: {
+            state: () => ({ value: 'default' })
+          }
+        }
+      }, { mergeState: true })
+
+      expect(store.state.a).toEqual({
+        foo: 'state',
+        bar: 'default',
+        options: { theme: 'dark', size: 'big' },
+        list: [1],
+        b: { value: 'state', added: true },
+        c: { value: 'default' }
+      })
+      expect(store.getters['a/bar']).toBe('default')
+    })
+
+    it('dynamic module registration keeps the other getters cached', () => {
+      let count = 0
+      const store = new Vuex.Store({
+        state: { value: 1 },
+        getters: {
+          double: state => {
+            count++
+            return state.value * 2
+          }
+        },
+        modules: {
+          routes: {}
+        }
+      })
+      const getters = store.getters
+
+      expect(store.getters.double).toBe(2)
+      store.registerModule(['routes', 'a'], {
+        namespaced: true,
+        state: { value: 2 },
+        getters: { double: state => state.value * 2 }
+      })
+      expect(store.getters).toBe(getters)
+      expect(store.getters.double).toBe(2)
+      expect(store.getters['a/double']).toBe(4)
+
+      store.unregisterModule(['routes', 'a'])
+      expect(store.getters).toBe(getters)
+      expect(store.getters.double).toBe(2)
+      expect('a/double' in store.getters).toBe(false)
+      // computed properties are not cached in server rendering
+      if (!isSSR) {
+        expect(count).toBe(1)
+      }
+    })
+
+    it('top-level module registration keeps the other getters cached', () => {
+      let count = 0
+      const store = new Vuex.Store({
+        state: { value: 1 },
+        getters: {
+          double: state => {
+            count++
+            return state.value * 2
+          },
+          hasCart: state => !!state.cart,
+          all: state => state
+        }
+      })
+
+      expect(store.getters.all).toBe(store.state)
+      expect(store.getters.double).toBe(2)
+      expect(store.getters.hasCart).toBe(false)
+      store.registerModule('cart', {
+        namespaced: true,
+        state: { items: [1] },
+        getters: { count: state => state.items.length }
+      })
+      expect(store.getters.double).toBe(2)
+      expect(store.getters['cart/count']).toBe(1)
+      // getters reading the module see it being added and removed
+      expect(store.getters.hasCart).toBe(true)
+
+      store.unregisterModule('cart')
+      expect(store.getters.double).toBe(2)
+      expect(store.getters.hasCart).toBe(false)
+      if (!isSSR) {
+        expect(count).toBe(1)
+      }
+
+      store.replaceState({ value: 2 })
+      expect(store.getters.double).toBe(4)
+      expect(store.getters.all).toBe(store.state)
+    })
+
+    it('module subscribers', () => {
+      const spy = jasmine.createSpy()
+      const store = new Vuex.Store({})
+      const unsubscribe = store.subscribeModule(spy)
+      store.registerModule('a', {
+        state: { value: 1 }
+      })
+      expect(spy).toHaveBeenCalledWith({ type: 'register', path: ['a'] }, store.state)
+      expect(store.state.a.value).toBe(1)
+
+      spy.and.callFake(() => {
+        // state is still available while unregistering
+        expect(store.state.a.value).toBe(1)
+      })
+      store.unregisterModule('a')
+      expect(spy).toHaveBeenCalledWith({ type: 'unregister', path: ['a'] }, store.state)
+
+      unsubscribe()
+      store.registerModule('a', {})
+      expect(spy.calls.count()).toBe(2)
+    })
+
+    it('module lifecycle hooks', () => {
+      const calls = []
+      const createModule = name => ({
+        namespaced: true,
+        state: { started: false },
+        mutations: {
+          start: state => { state.started = true }
+        },
+        onRegister ({ commit, state, rootState, rootGetters }) {
+          calls.push(`register ${name}`)
+          expect(state.started).toBe(false)
+          expect(rootState).toBe(this.state)
+          expect(rootGetters).toBe(this.getters)
+          commit('start')
+        },
+        onUnregister ({ state }) {
+          calls.push(`unregister ${name}`)
+          expect(state.started).toBe(true)
+        }
+      })
+
+      const store = new Vuex.Store({
+        modules: {
+          a: createModule('a')
+        }
+      })
+      expect(calls).toEqual(['register a'])
+      expect(store.state.a.started).toBe(true)
+
+      store.registerModule('b', Object.assign(createModule('b'), {
+        modules: {
+          c: createModule('c')
+        }
+      }))
+      expect(calls.slice(1)).toEqual(['register b', 'register c'])
+      expect(store.state.b.c.started).toBe(true)
+
+      store.unregisterModule('b')
+      expect(calls.slice(3)).toEqual(['unregister c', 'unregister b'])
+
+      // static modules cannot be unregistered
+      spyOn(console, 'warn')
+      store.unregisterModule('a')
+      expect(calls.length).toBe(5)
+    })
+
+    it('module instances', () => {
+      const editor = {
+        namespaced: true,
+        state: { text: '' },
+        getters: { length: state => state.text.length },
+        mutations: {
+          setText: (state, text) => { state.text = text }
+        },
+        modules: {
+          sub: {
+            namespaced: true,
+            state: { count: 0 },
+            mutations: {
+              inc: state => { state.count++ }
+            }
+          }
+        }
+      }
+      const store = new Vuex.Store({})
+
+      store.registerModuleInstance('editors', editor, 'a')
+      store.registerModuleInstance('editors', editor, 1)
+      expect(store.getModuleInstances('editors')).toEqual(['1', 'a'])
+      expect(() => {
+        store.registerModuleInstance('editors', editor, 'a')
+      }).toThrowError(/module instance 'a' of 'editors' is already registered/)
+
+      const a = store.getModuleInstance('editors', 'a')
+      expect(a.namespace).toBe('editors/a/')
+      a.commit('setText', 'foo')
+      expect(a.state.text).toBe('foo')
+      expect(a.getters.length).toBe(3)
+      expect(store.getters['editors/a/length']).toBe(3)
+
+      // each instance has its own state
+      expect(store.state.editors[1].text).toBe('')
+      expect(editor.state.text).toBe('')
+      // nested modules' included
+      store.commit('editors/a/sub/inc')
+      expect(store.state.editors.a.sub.count).toBe(1)
+      expect(store.state.editors[1].sub.count).toBe(0)
+      expect(editor.modules.sub.state.count).toBe(0)
+
+      store.unregisterModuleInstance('editors', 'a')
+      expect(store.getModuleInstances('editors')).toEqual(['1'])
+      expect(store.getModuleInstance('editors', 'a')).toBeUndefined()
+      expect(store.state.editors.a).toBeUndefined()
+
+      // the container is removed along with the last instance
+      store.unregisterModuleInstance('editors', 1)
+      expect(store.hasModule('editors')).toBe(false)
+      expect(store.state.editors).toBeUndefined()
+    })
+
+    it('module instances: inherited nested modules', () => {
+      const editor = {
+        namespaced: true,
+        extends: {
+          modules: {
+            page: {
+              namespaced: true,
+              state: { n: 0 },
+              mutations: {
+                inc: state => { state.n++ }
+              }
+            }
+          }
+        },
+        mixins: [{
+          state: { text: '' }
+        }]
+      }
+      const store = new Vuex.Store({})
+
+      store.registerModuleInstance('editors', editor, 1)
+      store.registerModuleInstance('editors', editor, 2)
+      expect(store.state.editors[1].page).not.toBe(store.state.editors[2].page)
+
+      store.commit('editors/1/page/inc')
+      expect(store.state.editors[1].page.n).toBe(1)
+      expect(store.state.editors[2].page.n).toBe(0)
+      expect(editor.extends.modules.page.state.n).toBe(0)
+      expect(store.state.editors[1].text).toBe('')
+    })
+
+    it('module requirements', () => {
+      const store = new Vuex.Store({
+        modules: {
+          shop: {}
+        }
+      })
+      const cart = {
+        namespaced: true,
+        requires: ['products'],
+        getters: {
+          cartProducts: (state, getters, rootState) => rootState.products.all
+        }
+      }
+
+      expect(() => {
+        store.registerModule('cart', cart)
+      }).toThrowError(/module 'cart' requires module 'products' which is not registered/)
+      expect(store.state.cart).toBeUndefined()
+      expect(store._modules.get(['cart'])).toBeUndefined()
+
+      store.registerModule('products', {
+        state: { all: [1] }
+      })
+      store.registerModule('cart', cart)
+      expect(store.getters['cart/cartProducts']).toEqual([1])
+
+      expect(() => {
+        store.unregisterModule('products')
+      }).toThrowError(/cannot unregister module 'products' which is required by module 'cart'/)
+      expect(store.state.products.all).toEqual([1])
+
+      store.unregisterModule('cart')
+      store.unregisterModule('products')
+      expect(store.state.products).toBeUndefined()
+    })
+
+    it('module requirements: undeclared root state access', () => {
+      spyOn(console, 'warn')
+      const store = new Vuex.Store({
+        state: { value: 1 },
+        modules: {
+          products: {
+            state: { all: [] }
+          },
+          shop: {
+            state: { name: 'shop' }
+          },
+          cart: {
+            requires: ['products'],
+            getters: {
+              count: (state, getters, rootState) => rootState.value + rootState.products.all.length,
+              shop: (state, getters, rootState) => rootState.shop.name
+            }
+          }
+        }
+      })
+
+      expect(store.getters.count).toBe(1)
+      expect(console.warn).not.toHaveBeenCalled()
+      expect(store.getters.shop).toBe('shop')
+      expect(console.warn).toHaveBeenCalledWith(
+        `[vuex] module 'cart' reads the state of module 'shop' which it does not require.`
+      )
+    })
+
+    it('moveModule', () => {
+      const store = new Vuex.Store({
+        modules: {
+          workspaces: {
+            namespaced: true,
+            modules: {
+              a: { namespaced: true },
+              b: { namespaced: true }
+            }
+          }
+        }
+      })
+      const events = []
+      store.subscribeModule(event => events.push(event))
+      const mutations = []
+      store.registerModule(['workspaces', 'a', 'doc'], {
+        namespaced: true,
+        state: { text: '' },
+        getters: { length: state => state.text.length },
+        mutations: {
+          setText: (state, text) => { state.text = text }
+        },
+        actions: {
+          setText: ({ commit }, text) => commit('setText', text)
+        },
+        modules: {
+          comments: {
+            namespaced: true,
+            state: { items: [] },
+            mutations: { add: (state, item) => state.items.push(item) }
+          }
+        },
+        plugins: [({ subscribe }) => {
+          subscribe(mutation => mutations.push(mutation.type))
+        }]
+      })
+      store.commit('workspaces/a/doc/setText', 'foo')
+      store.commit('workspaces/a/doc/comments/add', 'bar')
+
+      store.moveModule(['workspaces', 'a', 'doc'], ['workspaces', 'b', 'doc'])
+      expect(store.state.workspaces.a.doc).toBeUndefined()
+      expect(store.state.workspaces.b.doc.text).toBe('foo')
+      expect(store.state.workspaces.b.doc.comments.items).toEqual(['bar'])
+      expect(store.getters['workspaces/b/doc/length']).toBe(3)
+      expect(store.getters['workspaces/a/doc/length']).toBeUndefined()
+      expect(store._mutations['workspaces/a/doc/setText']).toBeUndefined()
+      expect(store._modulesNamespaceMap['workspaces/a/doc/']).toBeUndefined()
+      expect(store._modulesNamespaceMap['workspaces/b/doc/']).toBe(store._modules.get(['workspaces', 'b', 'doc']))
+
+      store.dispatch('workspaces/b/doc/setText', 'foobar')
+      store.commit('workspaces/b/doc/comments/add', 'baz')
+      expect(store.state.workspaces.b.doc.text).toBe('foobar')
+      expect(store.state.workspaces.b.doc.comments.items).toEqual(['bar', 'baz'])
+      expect(mutations).toEqual(['setText', 'comments/add', 'setText', 'comments/add'])
+
+      expect(events.slice(1)).toEqual([
+        { type: 'unregister', path: ['workspaces', 'a', 'doc'] },
+        { type: 'register', path: ['workspaces', 'b', 'doc'] }
+      ])
+
+      // renaming
+      store.moveModule(['workspaces', 'b', 'doc'], ['workspaces', 'b', 'renamed'])
+      expect(store.state.workspaces.b.renamed.text).toBe('foobar')
+
+      expect(() => {
+        store.moveModule('workspaces', 'other')
+      }).toThrowError(/cannot move module 'workspaces' which is not registered dynamically/)
+    })
+
+    it('moveModule: running actions', done => {
+      spyOn(console, 'error')
+      const store = new Vuex.Store({
+        modules: {
+          w1: { namespaced: true },
+          w2: { namespaced: true }
+        }
+      })
+      let resume
+      store.registerModule(['w1', 'doc'], {
+        namespaced: true,
+        state: { count: 0 },
+        mutations: {
+          inc: state => state.count++
+        },
+        actions: {
+          inc ({ commit, dispatch }) {
+            return new Promise(resolve => { resume = resolve })
+              .then(() => commit('inc'))
+              .then(() => dispatch('done'))
+          },
+          done: ({ state }) => state.count
+        }
+      })
+
+      const dispatched = store.dispatch('w1/doc/inc')
+      store.moveModule(['w1', 'doc'], ['w2', 'doc'])
+      resume()
+
+      dispatched.then(count => {
+        // the action commits and dispatches in the namespace the module is moved to
+        expect(count).toBe(1)
+        expect(store.state.w2.doc.count).toBe(1)
+        expect(console.error).not.toHaveBeenCalled()
+        done()
+      })
+    })
+
+    it('dynamic module registration creating parents', () => {
+      const store = new Vuex.Store({})
+
+      expect(() => {
+        store.registerModule(['a', 'b', 'c'], {})
+      }).toThrowError(/cannot register module 'a\/b\/c' whose parent is not registered/)
+
+      store.registerModule(['a', 'b', 'c'], {
+        namespaced: true,
+        state: { value: 1 },
+        getters: { value: state => state.value }
+      }, { createParents: true, namespacedParents: true })
+      store.registerModule(['a', 'd'], {
+        state: { value: 2 }
+      }, { createParents: true })
+
+      expect(store.state.a.b.c.value).toBe(1)
+      expect(store.state.a.d.value).toBe(2)
+      expect(store.getters['a/b/c/value']).toBe(1)
+
+      // placeholders are removed with their last nested module
+      store.unregisterModule(['a', 'b', 'c'])
+      expect(store.state.a.b).toBeUndefined()
+      expect(store.state.a.d.value).toBe(2)
+      store.unregisterModule(['a', 'd'])
+      expect(store.state.a).toBeUndefined()
+      expect(store._modules.get(['a'])).toBeUndefined()
+    })
+
+    it('unregister static modules with force option', () => {
+      spyOn(console, 'warn')
+      const onUnregister = jasmine.createSpy()
+      const store = new Vuex.Store({
+        modules: {
+          feature: {
+            namespaced: true,
+            state: { value: 1 },
+            getters: { value: state => state.value },
+            mutations: { inc: state => state.value++ },
+            onUnregister
+          }
+        }
+      })
+
+      store.unregisterModule('feature')
+      expect(console.warn).toHaveBeenCalledWith(
+        `[vuex] cannot unregister module 'feature' which is declared in the store options, ` +
+        'use the force option to remove it.'
+      )
+      // the state of the module is kept
+      expect(store.state.feature.value).toBe(1)
+      expect(store.hasModule('feature')).toBe(true)
+
+      store.unregisterModule('feature', { force: true })
+      expect(store.hasModule('feature')).toBe(false)
+      expect(store.state.feature).toBeUndefined()
+      expect(store.getters['feature/value']).toBeUndefined()
+      expect(store._mutations['feature/inc']).toBeUndefined()
+      expect(onUnregister).toHaveBeenCalled()
+    })
+
+    it('unregister unknown modules', () => {
+      const store = new Vuex.Store({
+        modules: {
+          a: {}
+        }
+      })
+
+      expect(store.hasModule('a')).toBe(true)
+      expect(store.hasModule(['a', 'b'])).toBe(false)
+      expect(store.hasModule(['b', 'c'])).toBe(false)
+
+      expect(() => {
+        store.unregisterModule(['b', 'c'])
+      }).toThrowError(/\[vuex\] cannot unregister module 'b\/c' which is not registered/)
+      expect(() => {
+        store.unregisterModule([])
+      }).toThrowError(/\[vuex\] cannot unregister module '' which is not registered/)
+    })
+
+    it('ensureModule', done => {
+      spyOn(console, 'error')
+      const store = new Vuex.Store({})
+      const loader = jasmine.createSpy().and.returnValue(Promise.resolve({
+        default: {
+          namespaced: true,
+          state: { items: [] },
+          mutations: {
+            add: (state, item) => state.items.push(item)
+          },
+          actions: {
+            add: ({ commit }, item) => {
+              commit('add', item)
+              return item
+            }
+          }
+        }
+      }))
+
+      const promise = store.ensureModule('cart', loader)
+      expect(store.ensureModule('cart', loader)).toBe(promise)
+      expect(loader.calls.count()).toBe(1)
+
+      // held until the module is registered
+      store.commit('cart/add', 1)
+      const dispatched = store.dispatch('cart/add', 2)
+      expect(console.error).not.toHaveBeenCalled()
+
+      promise.then(() => {
+        expect(store.state.cart.items).toEqual([1, 2])
+        return dispatched
+      }).then(res => {
+        expect(res).toBe(2)
+        return store.ensureModule('cart', loader)
+      }).then(() => {
+        expect(loader.calls.count()).toBe(1)
+        done()
+      })
+    })
+
+    it('ensureModule: loading failure', done => {
+      spyOn(console, 'error')
+      const error = new Error('failed')
+      const store = new Vuex.Store({})
+      const loader = () => Promise.reject(error)
+
+      const promise = store.ensureModule('cart', loader)
+      const dispatched = store.dispatch('cart/add')
+      store.commit('cart/add')
+
+      promise.catch(err => {
+        expect(err).toBe(error)
+        expect(store.state.cart).toBeUndefined()
+        return dispatched
+      }).catch(err => {
+        // held actions are rejected as well
+        expect(err).toBe(error)
+        expect(console.error).toHaveBeenCalledWith(
+          '[vuex] mutation type: cart/add has been dropped, its module failed to load.'
+        )
+        done()
+      })
+    })
+
+    it('ensureModule: module not namespaced', done => {
+      spyOn(console, 'error')
+      const store = new Vuex.Store({})
+      const loader = () => Promise.resolve({
+        state: { count: 0 },
+        mutations: {
+          inc: state => state.count++
+        }
+      })
+
+      const promise = store.ensureModule('cart', loader)
+      store.commit('cart/inc')
+
+      promise.catch(err => {
+        expect(err.message).toBe('[vuex] module \'cart\' loaded by ensureModule should be namespaced.')
+        expect(store.state.cart).toBeUndefined()
+        expect(console.error).toHaveBeenCalledWith(
+          '[vuex] mutation type: cart/inc has been dropped, its module failed to load.'
+        )
+        done()
+      })
+    })
+
+    it('ensureModule: cancelling held actions', done => {
+      const store = new Vuex.Store({})
+      const spy = jasmine.createSpy()
+      const loader = () => Promise.resolve({
+        namespaced: true,
+        actions: {
+          load: (context, n) => {
+            spy(n)
+            return new Promise(() => {})
+          }
+        }
+      })
+
+      const promise = store.ensureModule('cart', loader)
+      const before = store.dispatch('cart/load', 1)
+      const after = store.dispatch('cart/load', 2)
+      expect(typeof before.cancel).toBe('function')
+      before.cancel()
+
+      before.catch(err => {
+        expect(Vuex.isCancel(err)).toBe(true)
+        return promise
+      }).then(() => {
+        // cancelled before the module is loaded, the action is not dispatched
+        expect(spy.calls.allArgs()).toEqual([[2]])
+        after.cancel()
+        return after
+      }).catch(err => {
+        expect(Vuex.isCancel(err)).toBe(true)
+        done()
+      })
+    })
   })
 
   // #524
@@ -126,6 +768,134 @@ describe('Modules', () => {
     })
   })
 
+  it('resetModule', () => {
+    const store = new Vuex.Store({
+      strict: true,
+      modules: {
+        a: {
+          state: { list: [1] },
+          mutations: { push: (state, n) => state.list.push(n) },
+          modules: {
+            b: {
+              state: () => ({ value: 1 }),
+              mutations: { inc: state => state.value++ }
+            }
+          }
+        },
+        c: {
+          state: { value: 1 },
+          mutations: { inc: state => state.value++ }
+        }
+      }
+    })
+    store.registerModule(['a', 'd'], {
+      state: () => ({ value: 1 })
+    })
+    store.commit('push', 2)
+    store.commit('inc')
+
+    store.resetModule('a')
+    expect(store.state.a.list).toEqual([1])
+    expect(store.state.a.b.value).toBe(1)
+    expect(store.state.a.d.value).toBe(1)
+    expect(store.state.c.value).toBe(2)
+
+    store.commit('push', 2)
+    store.resetModule(['a', 'b'])
+    expect(store.state.a.list).toEqual([1, 2])
+
+    expect(() => store.resetModule('unknown')).toThrowError(/cannot reset module 'unknown' which is not registered/)
+  })
+
+  it('replaceModuleState', () => {
+    const store = new Vuex.Store({
+      strict: true,
+      state: { value: 1 },
+      modules: {
+        products: {
+          state: { all: [], loading: true },
+          getters: { count: state => state.all.length },
+          modules: {
+            filters: {
+              state: { query: '' }
+            }
+          }
+        },
+        cart: {
+          state: { items: [1] }
+        }
+      }
+    })
+    const products = store.state.products
+    const cart = store.state.cart
+    const filters = store.state.products.filters
+
+    store.replaceModuleState('products', { all: [1, 2], fetchedAt: 1 })
+    expect(store.state.products).toBe(products)
+    expect(store.state.products.all).toEqual([1, 2])
+    expect(store.state.products.fetchedAt).toBe(1)
+    expect('loading' in store.state.products).toBe(false)
+    expect(store.getters.count).toBe(2)
+    // nested modules and siblings are kept
+    expect(store.state.products.filters).toBe(filters)
+    expect(store.state.cart).toBe(cart)
+
+    store.replaceModuleState(['products'], { all: [], filters: { query: 'a' }})
+    expect(store.state.products.filters).toBe(filters)
+    expect(store.state.products.filters.query).toBe('a')
+
+    expect(() => store.replaceModuleState('unknown', {})).toThrowError(/cannot replace the state of module 'unknown' which is not registered/)
+  })
+
+  it('mergeState', () => {
+    const store = new Vuex.Store({
+      strict: true,
+      modules: {
+        products: {
+          state: { all: [], loading: true },
+          modules: {
+            filters: {
+              state: { query: '', sort: 'asc' }
+            }
+          }
+        }
+      }
+    })
+    const products = store.state.products
+
+    store.mergeState('products', { all: [1], fetchedAt: 1, filters: { query: 'a' }})
+    expect(store.state.products).toBe(products)
+    expect(store.state.products.all).toEqual([1])
+    expect(store.state.products.loading).toBe(true)
+    expect(store.state.products.fetchedAt).toBe(1)
+    expect(store.state.products.filters).toEqual({ query: 'a', sort: 'asc' })
+  })
+
+  it('reset', () => {
+    const store = new Vuex.Store({
+      strict: true,
+      state: () => ({ value: 1 }),
+      getters: { value: state => state.value },
+      mutations: { inc: state => state.value++ },
+      modules: {
+        a: {
+          state: { value: 1 },
+          mutations: { inc: state => state.value++ }
+        }
+      }
+    })
+    store.commit('inc')
+    expect(store.getters.value).toBe(2)
+
+    store.reset()
+    expect(store.state.value).toBe(1)
+    expect(store.state.a.value).toBe(1)
+    expect(store.getters.value).toBe(1)
+
+    store.commit('inc')
+    expect(store.state.a.value).toBe(2)
+  })
+
   describe('modules usage', () => {
     it('state as function (multiple module in same store)', () => {
       const module = {
@@ -461,6 +1231,33 @@ describe('Modules', () => {
       expect(store.getters['a/baz']).toBe('root')
     })
 
+    it('module: local getters are cached until registration changes', () => {
+      const store = new Vuex.Store({
+        modules: {
+          a: {
+            namespaced: true,
+            state: { value: 1 },
+            getters: { foo: state => state.value }
+          }
+        }
+      })
+      const local = store._modules.get(['a']).context
+
+      const getters = local.getters
+      expect(local.getters).toBe(getters)
+      expect(getters.foo).toBe(1)
+
+      store.registerModule(['a', 'b'], {
+        getters: { bar: () => 'bar' }
+      })
+      expect(local.getters).not.toBe(getters)
+      expect(local.getters.bar).toBe('bar')
+
+      store.unregisterModule(['a', 'b'])
+      expect(local.getters.bar).toBeUndefined()
+      expect(local.getters.foo).toBe(1)
+    })
+
     it('module: action context is namespaced in namespaced module', done => {
       const rootActionSpy = jasmine.createSpy()
       const rootMutationSpy = jasmine.createSpy()
@@ -669,6 +1466,62 @@ describe('Modules', () => {
       )
     })
 
+    it('module plugins', done => {
+      const mutations = []
+      const actions = []
+      const teardown = jasmine.createSpy()
+      const plugin = ({ subscribe, subscribeAction, commit, state, getters }) => {
+        expect(getters.double).toBe(state.count * 2)
+        subscribe((mutation, state) => mutations.push([mutation.type, state.count]))
+        subscribeAction((action, state) => actions.push(action.type))
+        commit('inc')
+        return teardown
+      }
+
+      const store = new Vuex.Store({
+        mutations: { inc () {} },
+        actions: { inc () {} },
+        modules: {
+          a: {
+            namespaced: true,
+            state: { count: 0 },
+            getters: { double: state => state.count * 2 },
+            mutations: { inc: state => state.count++ },
+            actions: { inc: ({ commit }) => commit('inc') },
+            plugins: [plugin]
+          }
+        }
+      })
+      expect(mutations).toEqual([['inc', 1]])
+
+      store.commit('inc')
+      store.registerModule('b', {
+        namespaced: true,
+        state: { count: 10 },
+        getters: { double: state => state.count * 2 },
+        mutations: { inc: state => state.count++ },
+        plugins: [plugin]
+      })
+      expect(mutations).toEqual([['inc', 1], ['inc', 11]])
+
+      store.dispatch('inc')
+      store.dispatch('a/inc').then(() => {
+        expect(actions).toEqual(['inc'])
+        expect(mutations).toEqual([['inc', 1], ['inc', 11], ['inc', 2]])
+
+        // torn down on unregister
+        store.unregisterModule('b')
+        expect(teardown.calls.count()).toBe(1)
+        store.registerModule('b', {
+          namespaced: true,
+          mutations: { inc () {} }
+        })
+        store.commit('b/inc')
+        expect(mutations.length).toBe(3)
+        done()
+      })
+    })
+
     it('action before/after subscribers', (done) => {
       const beforeSpy = jasmine.createSpy()
       const afterSpy = jasmine.createSpy()
@@ -699,6 +1552,35 @@ describe('Modules', () => {
         done()
       })
     })
+
+    it('action error subscribers', (done) => {
+      const afterSpy = jasmine.createSpy()
+      const errorSpy = jasmine.createSpy()
+      const error = new Error()
+      const store = new Vuex.Store({
+        actions: {
+          [TEST]: () => Promise.reject(error)
+        },
+        plugins: [
+          store => {
+            store.subscribeAction({
+              after: afterSpy,
+              error: errorSpy
+            })
+          }
+        ]
+      })
+      store.dispatch(TEST, 2).catch(err => {
+        expect(err).toBe(error)
+        expect(afterSpy).not.toHaveBeenCalled()
+        expect(errorSpy).toHaveBeenCalledWith(
+          { type: TEST, payload: 2 },
+          store.state,
+          error
+        )
+        done()
+      })
+    })
   })
 
   it('asserts a mutation should be a function', () => {
@@ -0,0 +1,216 @@
+import Vuex from '../../../dist/vuex.common.js'
+import createHistory from '../../../src/plugins/history'
+
+const TEST = 'TEST'
+
+describe('History plugin', () => {
+  function createStore (history, options = {}) {
+    return new Vuex.Store(Object.assign({
+      modules: {
+        doc: {
+          namespaced: true,
+          state: () => ({ text: '', tags: [] }),
+          mutations: {
+            [TEST] (state, text) {
+              state.text += text
+            },
+            tag (state, tag) {
+              state.tags.push(tag)
+            }
+          }
+        },
+        other: {
+          namespaced: true,
+          state: { value: 0 },
+          mutations: {
+            [TEST] (state) {
+              state.value++
+            }
+          }
+        }
+      },
+      plugins: [history]
+    }, options))
+  }
+
+  it('undo / redo', () => {
+    const history = createHistory({ paths: ['doc'] })
+    const store = createStore(history)
+
+    expect(history.canUndo).toBe(false)
+    store.commit(`doc/${TEST}`, 'a')
+    store.commit('doc/tag', 'x')
+    store.commit(`other/${TEST}`)
+    expect(history.canUndo).toBe(true)
+
+    history.undo()
+    expect(store.state.doc.text).toBe('a')
+    expect(store.state.doc.tags).toEqual([])
+    expect(history.canRedo).toBe(true)
+
+    history.undo()
+    expect(store.state.doc.text).toBe('')
+    expect(history.canUndo).toBe(false)
+    // untracked modules are left alone
+    expect(store.state.other.value).toBe(1)
+
+    history.redo()
+    history.redo()
+    expect(store.state.doc.text).toBe('a')
+    expect(store.state.doc.tags).toEqual(['x'])
+    expect(history.canRedo).toBe(false)
+
+    // new mutations clear the redo stack
+    history.undo()
+    store.commit(`doc/${TEST}`, 'b')
+    expect(history.canRedo).toBe(false)
+    expect(store.state.doc.text).toBe('ab')
+  })
+
+  it('only records committed mutations', () => {
+    const history = createHistory()
+    const store = createStore(history)
+    spyOn(console, 'error')
+
+    store.commit('doc/typo')
+    expect(history.canUndo).toBe(false)
+
+    const remove = store.useMutationMiddleware(() => {})
+    store.commit(`doc/${TEST}`, 'a')
+    expect(history.canUndo).toBe(false)
+
+    remove()
+    store.commit(`doc/${TEST}`, 'a')
+    expect(history.canUndo).toBe(true)
+  })
+
+  it('only records the modules handling the mutation', () => {
+    const history = createHistory()
+    const store = createStore(history)
+
+    store.commit(`doc/${TEST}`, 'a')
+    store.commit(`other/${TEST}`)
+    store.commit(`doc/${TEST}`, 'b')
+
+    history.undo()
+    history.undo()
+    expect(store.state.doc.text).toBe('a')
+    expect(store.state.other.value).toBe(0)
+
+    history.redo()
+    expect(store.state.doc.text).toBe('a')
+    expect(store.state.other.value).toBe(1)
+  })
+
+  it('records transactions once committed', done => {
+    const history = createHistory({ paths: ['doc'] })
+    const store = createStore(history)
+
+    expect(() => {
+      store.transaction(({ commit }) => {
+        commit(`doc/${TEST}`, 'a')
+        throw new Error('fail')
+      })
+    }).toThrowError('fail')
+    expect(history.canUndo).toBe(false)
+
+    store.transaction(async ({ commit }) => {
+      commit(`doc/${TEST}`, 'a')
+      await Promise.resolve()
+      commit('doc/tag', 'x')
+    }).then(() => {
+      expect(history.canUndo).toBe(true)
+      history.undo()
+      expect(store.state.doc.text).toBe('')
+      expect(store.state.doc.tags).toEqual([])
+      expect(history.canUndo).toBe(false)
+      done()
+    })
+  })
+
+  it('works in strict mode', () => {
+    const history = createHistory({ paths: ['doc'] })
+    const store = createStore(history, { strict: true })
+
+    store.commit(`doc/${TEST}`, 'a')
+    expect(() => history.undo()).not.toThrow()
+    expect(store.state.doc.text).toBe('')
+  })
+
+  it('group', done => {
+    const history = createHistory({ paths: ['doc'] })
+    const store = createStore(history)
+
+    history.group(() => {
+      store.commit(`doc/${TEST}`, 'a')
+      store.commit(`doc/${TEST}`, 'b')
+    })
+    history.group(() => Promise.resolve().then(() => {
+      store.commit(`doc/${TEST}`, 'c')
+    }).then(() => {
+      store.commit(`doc/${TEST}`, 'd')
+    })).then(() => {
+      expect(store.state.doc.text).toBe('abcd')
+      history.undo()
+      expect(store.state.doc.text).toBe('ab')
+      history.undo()
+      expect(store.state.doc.text).toBe('')
+      expect(history.canUndo).toBe(false)
+      done()
+    })
+  })
+
+  it('limit and filter', () => {
+    const history = createHistory({
+      paths: ['doc'],
+      limit: 2,
+      filter: mutation => mutation.type !== 'doc/tag'
+    })
+    const store = createStore(history)
+
+    store.commit('doc/tag', 'x')
+    expect(history.canUndo).toBe(false)
+
+    store.commit(`doc/${TEST}`, 'a')
+    store.commit(`doc/${TEST}`, 'b')
+    store.commit(`doc/${TEST}`, 'c')
+
+    history.undo()
+    history.undo()
+    expect(history.canUndo).toBe(false)
+    expect(store.state.doc.text).toBe('a')
+    expect(store.state.doc.tags).toEqual(['x'])
+  })
+
+  it('runtime registered modules', () => {
+    const history = createHistory({ paths: ['doc'] })
+    const store = createStore(history)
+
+    store.registerModule(['doc', 'page'], {
+      namespaced: true,
+      state: () => ({ count: 0 }),
+      mutations: {
+        inc (state) {
+          state.count++
+        }
+      }
+    })
+    store.commit('doc/page/inc')
+    store.commit(`doc/${TEST}`, 'a')
+    store.unregisterModule(['doc', 'page'])
+
+    history.undo()
+    expect(store.state.doc.text).toBe('')
+    history.undo()
+    expect(store.state.doc.page).toBeUndefined()
+
+    // modules registered since are left alone
+    store.registerModule(['doc', 'page'], {
+      state: () => ({ count: 5 })
+    })
+    history.redo()
+    history.redo()
+    expect(store.state.doc.text).toBe('a')
+    expect(store.state.doc.page.count).toBe(5)
+  })
+})
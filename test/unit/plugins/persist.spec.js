@@ -0,0 +1,226 @@
+import Vuex from '../../../dist/vuex.common.js'
+import createPersistedState, { memoryAdapter } from '../../../src/plugins/persist'
+import createHistory from '../../../src/plugins/history'
+
+const TEST = 'TEST'
+
+describe('Persist plugin', () => {
+  const cart = () => ({
+    namespaced: true,
+    persist: true,
+    state: () => ({ items: [], checkoutStatus: null }),
+    mutations: {
+      [TEST] (state, item) {
+        state.items.push(item)
+      }
+    }
+  })
+
+  it('persists and rehydrates modules', () => {
+    const items = {}
+    const createStore = () => new Vuex.Store({
+      state: { count: 0 },
+      mutations: {
+        [TEST] (state) {
+          state.count++
+        }
+      },
+      modules: {
+        cart: cart(),
+        products: {
+          namespaced: true,
+          state: { all: [] },
+          mutations: {
+            [TEST] (state, product) {
+              state.all.push(product)
+            }
+          }
+        }
+      },
+      plugins: [createPersistedState({ storage: memoryAdapter(items) })]
+    })
+
+    const store = createStore()
+    store.commit(`cart/${TEST}`, 1)
+    store.commit(`products/${TEST}`, 'apple')
+    store.commit(TEST)
+    expect(Object.keys(items)).toEqual(['vuex/cart'])
+    expect(JSON.parse(items['vuex/cart'])).toEqual({ items: [1], checkoutStatus: null })
+
+    const restored = createStore()
+    expect(restored.state.cart.items).toEqual([1])
+    expect(restored.state.products.all).toEqual([])
+    expect(restored.state.count).toBe(0)
+  })
+
+  it('paths option', () => {
+    const items = {}
+    const store = new Vuex.Store({
+      state: { count: 0 },
+      mutations: {
+        [TEST] (state) {
+          state.count++
+        }
+      },
+      modules: {
+        nested: {
+          state: { value: 1 }
+        }
+      },
+      plugins: [createPersistedState({ key: 'app', paths: [[]], storage: memoryAdapter(items) })]
+    })
+    store.commit(TEST)
+    // nested modules are persisted separately
+    expect(JSON.parse(items.app)).toEqual({ count: 1 })
+  })
+
+  it('hydrates runtime registered modules on registration', () => {
+    const items = {
+      'vuex/cart': JSON.stringify({ items: [1, 2] })
+    }
+    const store = new Vuex.Store({
+      strict: true,
+      plugins: [createPersistedState({ storage: memoryAdapter(items) })]
+    })
+    store.registerModule('cart', cart())
+    expect(store.state.cart.items).toEqual([1, 2])
+    expect(store.state.cart.checkoutStatus).toBe(null)
+
+    store.commit(`cart/${TEST}`, 3)
+    expect(JSON.parse(items['vuex/cart']).items).toEqual([1, 2, 3])
+
+    store.unregisterModule('cart')
+    store.registerModule('cart', cart())
+    expect(store.state.cart.items).toEqual([1, 2, 3])
+  })
+
+  it('throttles writes', done => {
+    const storage = memoryAdapter()
+    spyOn(storage, 'setItem').and.callThrough()
+    const store = new Vuex.Store({
+      modules: {
+        cart: cart()
+      },
+      plugins: [createPersistedState({ storage, throttle: 10 })]
+    })
+    store.commit(`cart/${TEST}`, 1)
+    store.commit(`cart/${TEST}`, 2)
+    expect(storage.setItem).not.toHaveBeenCalled()
+    setTimeout(() => {
+      expect(storage.setItem.calls.count()).toBe(1)
+      expect(JSON.parse(storage.getItem('vuex/cart')).items).toEqual([1, 2])
+      done()
+    }, 20)
+  })
+
+  it('supports asynchronous storages', done => {
+    const items = {
+      'vuex/cart': JSON.stringify({ items: [1] })
+    }
+    const storage = memoryAdapter(items)
+    const asyncStorage = {
+      getItem: key => Promise.resolve(storage.getItem(key)),
+      setItem: (key, value) => Promise.resolve(storage.setItem(key, value)),
+      removeItem: key => Promise.resolve(storage.removeItem(key))
+    }
+    const plugin = createPersistedState({ storage: asyncStorage })
+    const store = new Vuex.Store({
+      modules: {
+        cart: cart()
+      },
+      plugins: [plugin]
+    })
+    expect(store.state.cart.items).toEqual([])
+    plugin.restored.then(() => {
+      expect(store.state.cart.items).toEqual([1])
+      store.commit(`cart/${TEST}`, 2)
+      expect(JSON.parse(items['vuex/cart']).items).toEqual([1, 2])
+      done()
+    })
+  })
+
+  it('skips states which cannot be read', done => {
+    spyOn(console, 'warn')
+    spyOn(console, 'error')
+    const items = {
+      'vuex/cart': '{ corrupted'
+    }
+    const store = new Vuex.Store({
+      modules: {
+        cart: cart()
+      },
+      plugins: [createPersistedState({ storage: memoryAdapter(items) })]
+    })
+    expect(store.state.cart.items).toEqual([])
+    expect(console.warn).toHaveBeenCalledWith(`[vuex] cannot restore the state of 'vuex/cart': `)
+
+    // the unreadable state is overwritten
+    store.commit(`cart/${TEST}`, 1)
+    expect(JSON.parse(items['vuex/cart']).items).toEqual([1])
+
+    const error = new Error('unavailable')
+    const plugin = createPersistedState({
+      storage: {
+        getItem: () => Promise.reject(error),
+        setItem: () => Promise.reject(error),
+        removeItem: () => {}
+      }
+    })
+    const asyncStore = new Vuex.Store({
+      modules: {
+        cart: cart()
+      },
+      plugins: [plugin]
+    })
+    plugin.restored.then(() => {
+      expect(console.error).toHaveBeenCalledWith(error)
+      asyncStore.commit(`cart/${TEST}`, 1)
+      return Promise.resolve()
+    }).then(() => {
+      expect(console.warn).toHaveBeenCalledWith(`[vuex] cannot save the state of 'vuex/cart': `)
+      done()
+    })
+  })
+
+  it('saves state changed without mutation', () => {
+    const items = {}
+    const history = createHistory()
+    const store = new Vuex.Store({
+      modules: {
+        cart: cart()
+      },
+      plugins: [createPersistedState({ storage: memoryAdapter(items) }), history]
+    })
+    const saved = () => JSON.parse(items['vuex/cart']).items
+
+    store.commit(`cart/${TEST}`, 1)
+    store.commit(`cart/${TEST}`, 2)
+    history.undo()
+    expect(saved()).toEqual([1])
+
+    store.reset()
+    expect(saved()).toEqual([])
+
+    store.mergeState('cart', { items: [3] })
+    expect(saved()).toEqual([3])
+  })
+  it('follows modules added and pruned by hot update', () => {
+    const items = {
+      'vuex/wishlist': JSON.stringify({ items: [1] })
+    }
+    const store = new Vuex.Store({
+      modules: {
+        cart: cart()
+      },
+      plugins: [createPersistedState({ storage: memoryAdapter(items) })]
+    })
+
+    const modules = { wishlist: cart() }
+    store.hotUpdate({ modules }, { prune: true })
+    expect(store.state.cart).toBeUndefined()
+    expect(store.state.wishlist.items).toEqual([1])
+
+    store.commit(`wishlist/${TEST}`, 2)
+    expect(JSON.parse(items['vuex/wishlist']).items).toEqual([1, 2])
+  })
+})
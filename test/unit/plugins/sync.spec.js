@@ -0,0 +1,157 @@
+import Vuex from '../../../dist/vuex.common.js'
+import createSync, { memoryTransport } from '../../../src/plugins/sync'
+
+const TEST = 'TEST'
+
+describe('Sync plugin', () => {
+  let name = 0
+  let plugins
+
+  beforeEach(() => {
+    name++
+    plugins = []
+  })
+
+  afterEach(() => {
+    plugins.forEach(plugin => plugin.close())
+  })
+
+  function createStore (options = {}) {
+    const sync = createSync(Object.assign({ transport: memoryTransport(`test-${name}`) }, options))
+    plugins.push(sync)
+    return new Vuex.Store({
+      state: { count: 0 },
+      mutations: {
+        [TEST] (state, n) {
+          state.count += n
+        }
+      },
+      modules: {
+        cart: {
+          namespaced: true,
+          state: () => ({ items: [] }),
+          mutations: {
+            add (state, item) {
+              state.items.push(item)
+            }
+          }
+        },
+        ui: {
+          namespaced: true,
+          state: () => ({ open: false }),
+          mutations: {
+            toggle (state) {
+              state.open = !state.open
+            }
+          }
+        }
+      },
+      plugins: [sync]
+    })
+  }
+
+  it('shares mutations between stores', () => {
+    const a = createStore()
+    const b = createStore()
+    const spy = jasmine.createSpy()
+    a.subscribe(spy)
+
+    a.commit(TEST, 2)
+    expect(b.state.count).toBe(2)
+    // mutations are not sent back
+    expect(a.state.count).toBe(2)
+    expect(spy.calls.count()).toBe(1)
+
+    b.commit('cart/add', 1)
+    expect(a.state.cart.items).toEqual([1])
+    expect(a.state.cart.items).not.toBe(b.state.cart.items)
+  })
+
+  it('does not send back mutations deferred by a middleware', done => {
+    const a = createStore()
+    const b = createStore()
+    const defer = (mutation, next) => setTimeout(() => next(mutation))
+    a.useMutationMiddleware(defer)
+    b.useMutationMiddleware(defer)
+
+    a.commit(TEST, 1)
+    setTimeout(() => {
+      expect(a.state.count).toBe(1)
+      expect(b.state.count).toBe(1)
+      done()
+    }, 50)
+  })
+
+  it('shares committed transactions', () => {
+    const a = createStore()
+    const b = createStore()
+
+    a.transaction(({ commit }) => {
+      commit(TEST, 1)
+      commit('cart/add', 1)
+    })
+    expect(b.state.count).toBe(1)
+    expect(b.state.cart.items).toEqual([1])
+  })
+
+  it('allowlist of types and modules', () => {
+    const a = createStore({ types: [TEST], modules: ['cart'] })
+    const b = createStore({ types: [TEST], modules: ['cart'] })
+
+    a.commit(TEST, 1)
+    a.commit('cart/add', 1)
+    a.commit('ui/toggle')
+    expect(b.state.count).toBe(1)
+    expect(b.state.cart.items).toEqual([1])
+    expect(b.state.ui.open).toBe(false)
+  })
+
+  it('requests a snapshot from other stores', () => {
+    const a = createStore()
+    a.commit(TEST, 3)
+    a.commit('cart/add', 1)
+
+    const b = createStore({ snapshot: false })
+    expect(b.state.count).toBe(0)
+
+    const c = createStore()
+    expect(c.state.count).toBe(3)
+    expect(c.state.cart.items).toEqual([1])
+
+    // the sync plugin of `b`
+    plugins[1].requestSnapshot()
+    expect(b.state.count).toBe(3)
+  })
+
+  it('only applies the snapshot of the allowed modules', () => {
+    const a = createStore({ modules: ['cart'] })
+    a.commit(TEST, 3)
+    a.commit('cart/add', 1)
+    a.commit('ui/toggle')
+
+    const b = createStore({ modules: ['cart'] })
+    expect(b.state.count).toBe(0)
+    expect(b.state.cart.items).toEqual([1])
+    expect(b.state.ui.open).toBe(false)
+  })
+
+  it('does not break commits when a message cannot be sent', () => {
+    spyOn(console, 'warn')
+    spyOn(console, 'error')
+    const error = new Error('DataCloneError')
+    const store = createStore({
+      transport: {
+        send: () => { throw error },
+        listen: () => () => {}
+      }
+    })
+    const subscribeSpy = jasmine.createSpy()
+    store.subscribe(subscribeSpy)
+
+    expect(() => store.commit(TEST, 1)).not.toThrow()
+    expect(store.state.count).toBe(1)
+    expect(subscribeSpy).toHaveBeenCalled()
+    expect(console.warn).toHaveBeenCalledWith(`[vuex] cannot send a mutations message to the other tabs: `)
+    expect(console.error).toHaveBeenCalledWith(error)
+  })
+})
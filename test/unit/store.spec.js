@@ -128,6 +128,44 @@ describe('Store', () => {
     })
   })
 
+  it('cancelling dispatched actions', done => {
+    const abortSpy = jasmine.createSpy()
+    const store = new Vuex.Store({
+      state: {
+        a: 1
+      },
+      mutations: {
+        [TEST] (state, n) {
+          state.a += n
+        }
+      },
+      actions: {
+        [TEST] ({ commit, signal }, n) {
+          signal.addEventListener('abort', abortSpy)
+          return new Promise(resolve => {
+            setTimeout(() => {
+              if (!signal.aborted) {
+                commit(TEST, n)
+              }
+              resolve()
+            }, 0)
+          })
+        }
+      }
+    })
+    const promise = store.dispatch(TEST, 2)
+    promise.cancel('stale')
+    promise.catch(err => {
+      expect(Vuex.isCancel(err)).toBe(true)
+      expect(err.reason).toBe('stale')
+      expect(abortSpy).toHaveBeenCalled()
+      setTimeout(() => {
+        expect(store.state.a).toBe(1)
+        done()
+      }, 0)
+    })
+  })
+
   it('composing actions with async/await', done => {
     const store = new Vuex.Store({
       state: {
@@ -320,6 +358,506 @@ describe('Store', () => {
     expect(secondSubscribeSpy.calls.count()).toBe(2)
   })
 
+  it('mutation middleware: should wrap commits', () => {
+    const subscribeSpy = jasmine.createSpy()
+    const store = new Vuex.Store({
+      state: {
+        a: 1,
+        b: 1
+      },
+      mutations: {
+        [TEST] (state, n) {
+          state.a += n
+        },
+        other (state, n) {
+          state.b += n
+        }
+      }
+    })
+    store.subscribe(subscribeSpy)
+
+    const calls = []
+    const remove = store.useMutationMiddleware((mutation, next, _store) => {
+      expect(_store).toBe(store)
+      calls.push('outer')
+      // normalise the payload
+      next({ type: mutation.type, payload: Number(mutation.payload) })
+    })
+    store.useMutationMiddleware((mutation, next) => {
+      calls.push('inner')
+      // block negative payloads and replace the `blocked` mutation
+      if (mutation.payload < 0) return
+      next(mutation.type === 'blocked' ? { type: 'other', payload: mutation.payload } : mutation)
+    })
+
+    store.commit(TEST, '2')
+    expect(store.state.a).toBe(3)
+    expect(calls).toEqual(['outer', 'inner'])
+    expect(subscribeSpy).toHaveBeenCalledWith({ type: TEST, payload: 2 }, store.state)
+
+    store.commit(TEST, -1)
+    expect(store.state.a).toBe(3)
+    expect(subscribeSpy.calls.count()).toBe(1)
+
+    store.commit('blocked', 3)
+    expect(store.state.b).toBe(4)
+    expect(subscribeSpy).toHaveBeenCalledWith({ type: 'other', payload: 3 }, store.state)
+
+    remove()
+    store.commit(TEST, '2')
+    expect(store.state.a).toBe('32')
+  })
+
+  it('mutation middleware: should allow delaying commits', done => {
+    const store = new Vuex.Store({
+      state: {
+        a: 1
+      },
+      mutations: {
+        [TEST] (state, n) {
+          state.a += n
+        }
+      }
+    })
+    store.useMutationMiddleware((mutation, next) => {
+      setTimeout(() => next(mutation), 0)
+    })
+
+    store.commit(TEST, 2)
+    expect(store.state.a).toBe(1)
+    setTimeout(() => {
+      expect(store.state.a).toBe(3)
+      done()
+    }, 0)
+  })
+
+  it('action middleware: should wrap dispatches', done => {
+    const actionSpy = jasmine.createSpy().and.callFake((context, n) => n * 2)
+    const store = new Vuex.Store({
+      actions: {
+        [TEST]: actionSpy
+      }
+    })
+
+    const cache = {}
+    store.useActionMiddleware((action, next, _store) => {
+      expect(_store).toBe(store)
+      // short-circuit with a cached result
+      if (action.payload in cache) return cache[action.payload]
+      return next(action).then(res => {
+        cache[action.payload] = res
+        return res
+      })
+    })
+    const remove = store.useActionMiddleware((action, next) => {
+      return next({ type: action.type, payload: action.payload + 1 })
+    })
+
+    store.dispatch(TEST, 1).then(res => {
+      expect(res).toBe(4)
+      expect(actionSpy.calls.count()).toBe(1)
+      return store.dispatch(TEST, 1)
+    }).then(res => {
+      expect(res).toBe(4)
+      expect(actionSpy.calls.count()).toBe(1)
+      remove()
+      return store.dispatch(TEST, 3)
+    }).then(res => {
+      expect(res).toBe(6)
+      expect(actionSpy.calls.count()).toBe(2)
+      done()
+    })
+  })
+
+  it('action middleware: should retry rejected actions', done => {
+    let attempts = 0
+    const store = new Vuex.Store({
+      actions: {
+        [TEST] () {
+          attempts++
+          return attempts < 2 ? Promise.reject(new Error('fail')) : 'ok'
+        }
+      }
+    })
+    const errorSpy = jasmine.createSpy()
+    store.subscribeAction({ error: errorSpy })
+    store.useActionMiddleware((action, next) => {
+      return next(action).catch(() => next(action))
+    })
+
+    store.dispatch(TEST).then(res => {
+      expect(res).toBe('ok')
+      expect(attempts).toBe(2)
+      expect(errorSpy.calls.count()).toBe(1)
+      done()
+    })
+  })
+
+  it('action middleware: should not run cancelled actions again', done => {
+    const spy = jasmine.createSpy().and.returnValue(new Promise(() => {}))
+    const store = new Vuex.Store({
+      actions: {
+        [TEST]: spy
+      }
+    })
+    store.useActionMiddleware((action, next) => {
+      return next(action).catch(() => next(action))
+    })
+
+    const promise = store.dispatch(TEST)
+    promise.cancel()
+    promise.catch(err => {
+      expect(Vuex.isCancel(err)).toBe(true)
+      setTimeout(() => {
+        expect(spy.calls.count()).toBe(1)
+        done()
+      })
+    })
+  })
+
+  it('subscribeAction: should call error subscribers when a handler throws', done => {
+    const error = new Error('fail')
+    const store = new Vuex.Store({
+      actions: {
+        [TEST] () {
+          throw error
+        }
+      }
+    })
+    const errorSpy = jasmine.createSpy()
+    store.subscribeAction({ error: errorSpy })
+
+    store.dispatch(TEST).catch(err => {
+      expect(err).toBe(error)
+      expect(errorSpy).toHaveBeenCalledWith({ type: TEST, payload: undefined }, store.state, error)
+      done()
+    })
+  })
+
+  it('transaction: should notify subscribers once', () => {
+    const subscribeSpy = jasmine.createSpy()
+    const store = new Vuex.Store({
+      state: {
+        a: 1
+      },
+      mutations: {
+        [TEST] (state, n) {
+          state.a += n
+        }
+      }
+    })
+    store.subscribe(subscribeSpy)
+
+    const res = store.transaction(({ commit }) => {
+      commit(TEST, 1)
+      commit(TEST, 2)
+      return 'done'
+    })
+
+    expect(res).toBe('done')
+    expect(store.state.a).toBe(4)
+    expect(subscribeSpy.calls.count()).toBe(1)
+    expect(subscribeSpy).toHaveBeenCalledWith(
+      {
+        type: '@@vuex/transaction',
+        payload: [
+          { type: TEST, payload: 1 },
+          { type: TEST, payload: 2 }
+        ]
+      },
+      store.state
+    )
+  })
+
+  it('transaction: should roll back state when the function throws', () => {
+    const subscribeSpy = jasmine.createSpy()
+    const store = new Vuex.Store({
+      strict: true,
+      state: {
+        a: 1,
+        items: [1]
+      },
+      mutations: {
+        [TEST] (state, n) {
+          state.a += n
+          state.items.push(n)
+        }
+      }
+    })
+    store.subscribe(subscribeSpy)
+
+    expect(() => {
+      store.transaction(({ commit }) => {
+        commit(TEST, 2)
+        throw new Error('fail')
+      })
+    }).toThrowError('fail')
+    expect(store.state.a).toBe(1)
+    expect(store.state.items).toEqual([1])
+    expect(subscribeSpy).not.toHaveBeenCalled()
+
+    store.commit(TEST, 3)
+    expect(store.state.a).toBe(4)
+    expect(subscribeSpy.calls.count()).toBe(1)
+  })
+
+  it('transaction: should roll back state when the returned Promise rejects', done => {
+    const store = new Vuex.Store({
+      state: {
+        a: 1
+      },
+      mutations: {
+        [TEST] (state, n) {
+          state.a += n
+        }
+      },
+      actions: {
+        [TEST] ({ commit }, n) {
+          commit(TEST, n)
+          return Promise.reject(new Error('fail'))
+        }
+      }
+    })
+
+    store.transaction(({ dispatch }) => dispatch(TEST, 2)).catch(err => {
+      expect(err.message).toBe('fail')
+      expect(store.state.a).toBe(1)
+      done()
+    })
+    expect(store.state.a).toBe(3)
+  })
+
+  it('transaction: should roll back a failed nested transaction only', done => {
+    const store = new Vuex.Store({
+      state: {
+        a: 1,
+        b: 1
+      },
+      mutations: {
+        a (state) {
+          state.a++
+        },
+        b (state) {
+          state.b++
+        }
+      }
+    })
+    const subscribeSpy = jasmine.createSpy()
+    store.subscribe(subscribeSpy)
+
+    store.transaction(async ({ commit, transaction }) => {
+      commit('a')
+      await transaction(async ({ commit }) => {
+        await Promise.resolve()
+        commit('b')
+        throw new Error('fail')
+      }).catch(err => {
+        expect(err.message).toBe('fail')
+        expect(store.state.a).toBe(2)
+        expect(store.state.b).toBe(1)
+      })
+      commit('a')
+    }).then(() => {
+      expect(store.state.a).toBe(3)
+      expect(store.state.b).toBe(1)
+      expect(subscribeSpy.calls.count()).toBe(1)
+      expect(subscribeSpy.calls.argsFor(0)[0].payload).toEqual([
+        { type: 'a', payload: undefined },
+        { type: 'a', payload: undefined }
+      ])
+      done()
+    })
+  })
+
+  it('transaction: should not restore the state of unregistered modules', () => {
+    const store = new Vuex.Store({
+      state: {
+        a: 1
+      },
+      mutations: {
+        [TEST] (state) {
+          state.a++
+        }
+      }
+    })
+    store.registerModule('tmp', {
+      state: { value: 1 }
+    })
+
+    expect(() => {
+      store.transaction(({ commit }) => {
+        commit(TEST)
+        store.unregisterModule('tmp')
+        throw new Error('fail')
+      })
+    }).toThrowError('fail')
+    expect(store.state.a).toBe(1)
+    expect('tmp' in store.state).toBe(false)
+  })
+
+  it('transaction: should reject a concurrent transaction', done => {
+    const store = new Vuex.Store({
+      state: {
+        a: 1
+      },
+      mutations: {
+        [TEST] (state) {
+          state.a++
+        }
+      }
+    })
+
+    let resolve
+    const p1 = store.transaction(({ commit }) => {
+      commit(TEST)
+      return new Promise(_resolve => { resolve = _resolve })
+    })
+    expect(() => {
+      store.transaction(({ commit }) => commit(TEST))
+    }).toThrowError(/another one is pending/)
+    expect(store.state.a).toBe(2)
+
+    resolve()
+    p1.then(() => {
+      store.transaction(({ commit }) => commit(TEST))
+      expect(store.state.a).toBe(3)
+      done()
+    })
+  })
+
+  it('transaction: should keep mutations committed outside of a pending transaction', done => {
+    const store = new Vuex.Store({
+      state: {
+        a: 1,
+        b: 1
+      },
+      mutations: {
+        a (state) {
+          state.a++
+        },
+        b (state) {
+          state.b++
+        }
+      },
+      actions: {
+        async a ({ commit }) {
+          await Promise.resolve()
+          commit('a')
+          throw new Error('fail')
+        }
+      }
+    })
+    const subscribeSpy = jasmine.createSpy()
+    store.subscribe(subscribeSpy)
+
+    const p = store.transaction(({ dispatch }) => dispatch('a'))
+    store.commit('b')
+    expect(subscribeSpy).toHaveBeenCalledWith({ type: 'b', payload: undefined }, store.state)
+
+    p.catch(err => {
+      expect(err.message).toBe('fail')
+      expect(store.state.a).toBe(1)
+      expect(store.state.b).toBe(2)
+      expect(subscribeSpy.calls.count()).toBe(1)
+      done()
+    })
+  })
+
+  it('serialize: should escape unsafe characters', () => {
+    const store = new Vuex.Store({
+      state: {
+        html: '</script><script>alert(1)</script>',
+        text: 'a\u2028b\u2029c'
+      }
+    })
+    const serialized = store.serialize()
+    expect(serialized).not.toMatch(/<|>|\u2028|\u2029/)
+    expect(serialized).not.toContain('</')
+    expect(JSON.parse(serialized)).toEqual({
+      html: '</script><script>alert(1)</script>',
+      text: 'a\u2028b\u2029c'
+    })
+  })
+
+  it('serialize: should skip server only and excluded modules', () => {
+    const store = new Vuex.Store({
+      state: {
+        a: 1
+      },
+      modules: {
+        foo: {
+          state: { b: 2 },
+          modules: {
+            bar: {
+              state: { c: 3 }
+            }
+          }
+        },
+        secret: {
+          serverOnly: true,
+          state: { token: 'token' }
+        }
+      }
+    })
+    expect(JSON.parse(store.serialize())).toEqual({
+      a: 1,
+      foo: { b: 2, bar: { c: 3 }}
+    })
+    expect(JSON.parse(store.serialize({ exclude: [['foo', 'bar']] }))).toEqual({
+      a: 1,
+      foo: { b: 2 }
+    })
+    expect(store.state.secret.token).toBe('token')
+  })
+
+  it('hydrate: should merge state module by module', () => {
+    const server = new Vuex.Store({
+      state: {
+        a: 1
+      },
+      modules: {
+        foo: {
+          state: { b: 2, list: [1] }
+        },
+        lazy: {
+          state: { c: 3 }
+        }
+      }
+    })
+    const serialized = server.serialize()
+
+    const client = new Vuex.Store({
+      strict: true,
+      state: {
+        a: 0
+      },
+      modules: {
+        foo: {
+          state: { b: 0, list: [], clientOnly: true }
+        }
+      }
+    })
+    client.registerModule('runtime', {
+      state: { d: 4 }
+    })
+    const foo = client.state.foo
+
+    client.hydrate(serialized)
+    expect(client.state.a).toBe(1)
+    expect(client.state.foo).toBe(foo)
+    expect(client.state.foo.b).toBe(2)
+    expect(client.state.foo.list).toEqual([1])
+    expect(client.state.foo.clientOnly).toBe(true)
+    expect(client.state.runtime.d).toBe(4)
+
+    // lazily registered modules pick up their hydrated state
+    client.registerModule('lazy', {
+      state: { c: 0 },
+      getters: { c: state => state.c }
+    }, { preserveState: true })
+    expect(client.getters.c).toBe(3)
+  })
+
   // store.watch should only be asserted in non-SSR environment
   if (!isSSR) {
     it('strict mode: warn mutations outside of handlers', () => {
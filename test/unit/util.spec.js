@@ -1,4 +1,4 @@
-import { find, deepCopy, forEachValue, isObject, isPromise, assert } from '../../src/util'
+import { find, deepCopy, forEachValue, isObject, isPromise, getNestedState, assert, createCanceler, createCancelError, isCancel } from '../../src/util'
 
 describe('util', () => {
   it('find', () => {
@@ -76,6 +76,36 @@ describe('util', () => {
     expect(isPromise(new Function())).toBe(false)
   })
 
+  it('getNestedState', () => {
+    const state = { a: { b: { c: 1 }}}
+    expect(getNestedState(state, [])).toBe(state)
+    expect(getNestedState(state, ['a', 'b'])).toBe(state.a.b)
+  })
+
+  it('createCanceler', () => {
+    const { signal, cancel } = createCanceler()
+    const spy = jasmine.createSpy()
+    const removedSpy = jasmine.createSpy()
+    signal.onabort = spy
+    signal.addEventListener('abort', spy)
+    signal.addEventListener('abort', removedSpy)
+    signal.removeEventListener('abort', removedSpy)
+    expect(signal.aborted).toBe(false)
+
+    cancel('reason')
+    cancel('again')
+    expect(signal.aborted).toBe(true)
+    expect(signal.reason).toBe('reason')
+    expect(spy.calls.count()).toBe(2)
+    expect(removedSpy).not.toHaveBeenCalled()
+  })
+
+  it('isCancel', () => {
+    expect(isCancel(createCancelError('foo'))).toBe(true)
+    expect(isCancel(new Error())).toBe(false)
+    expect(isCancel(undefined)).toBe(false)
+  })
+
   it('assert', () => {
     expect(assert.bind(null, false, 'Hello')).toThrowError('[vuex] Hello')
   })
@@ -18,29 +18,75 @@ export declare class Store<S> {
   dispatch: Dispatch;
   commit: Commit;
 
+  transaction<T>(fn: (context: TransactionContext<S>) => T): T;
+
   subscribe<P extends MutationPayload>(fn: (mutation: P, state: S) => any): () => void;
   subscribeAction<P extends ActionPayload>(fn: SubscribeActionOptions<P, S>): () => void;
+  subscribeModule(fn: (event: ModuleEvent, state: S) => any): () => void;
+  useMutationMiddleware<P extends MutationPayload>(fn: MutationMiddleware<P, S>): () => void;
+  useActionMiddleware<P extends ActionPayload>(fn: ActionMiddleware<P, S>): () => void;
   watch<T>(getter: (state: S, getters: any) => T, cb: (value: T, oldValue: T) => void, options?: WatchOptions): () => void;
 
+  replaceModuleState(path: string, state: any): void;
+  replaceModuleState(path: string[], state: any): void;
+  mergeState(path: string, state: any): void;
+  mergeState(path: string[], state: any): void;
+
+  reset(): void;
+  resetModule(path: string): void;
+  resetModule(path: string[]): void;
+
+  serialize(options?: SerializeOptions): string;
+  hydrate(state: string | object): void;
+
   registerModule<T>(path: string, module: Module<T, S>, options?: ModuleOptions): void;
   registerModule<T>(path: string[], module: Module<T, S>, options?: ModuleOptions): void;
 
-  unregisterModule(path: string): void;
-  unregisterModule(path: string[]): void;
+  ensureModule<T>(path: string, loader: ModuleLoader<T, S>, options?: ModuleOptions): Promise<void>;
+  ensureModule<T>(path: string[], loader: ModuleLoader<T, S>, options?: ModuleOptions): Promise<void>;
+
+  unregisterModule(path: string, options?: UnregisterModuleOptions): void;
+  unregisterModule(path: string[], options?: UnregisterModuleOptions): void;
+
+  hasModule(path: string | string[]): boolean;
+
+  moveModule(from: string | string[], to: string | string[]): void;
+
+  registerModuleInstance<T>(name: string, module: Module<T, S>, key: string | number, options?: ModuleOptions): void;
+  unregisterModuleInstance(name: string, key: string | number): void;
+  getModuleInstances(name: string): string[];
+  getModuleInstance<T = any>(name: string, key: string | number): ModuleInstance<T> | undefined;
 
   hotUpdate(options: {
+    state?: S | (() => S);
     actions?: ActionTree<S, S>;
     mutations?: MutationTree<S>;
     getters?: GetterTree<S, S>;
     modules?: ModuleTree<S>;
-  }): void;
+  }, hotUpdateOptions?: HotUpdateOptions): void;
+  hotUpdate<T>(path: string, module: Module<T, S>, options?: HotUpdateOptions): void;
+  hotUpdate<T>(path: string[], module: Module<T, S>, options?: HotUpdateOptions): void;
 }
 
 export declare function install(Vue: typeof _Vue): void;
 
+export declare function isCancel(error: any): boolean;
+
 export interface Dispatch {
-  (type: string, payload?: any, options?: DispatchOptions): Promise<any>;
-  <P extends Payload>(payloadWithType: P, options?: DispatchOptions): Promise<any>;
+  (type: string, payload?: any, options?: DispatchOptions): CancellablePromise<any>;
+  <P extends Payload>(payloadWithType: P, options?: DispatchOptions): CancellablePromise<any>;
+}
+
+export interface CancellablePromise<T> extends Promise<T> {
+  cancel(reason?: any): void;
+}
+
+export interface CancelSignal {
+  readonly aborted: boolean;
+  readonly reason: any;
+  onabort: ((event: { type: "abort", target: CancelSignal }) => any) | null;
+  addEventListener(type: "abort", listener: (event: { type: "abort", target: CancelSignal }) => any): void;
+  removeEventListener(type: "abort", listener: (event: { type: "abort", target: CancelSignal }) => any): void;
 }
 
 export interface Commit {
@@ -55,6 +101,15 @@ export interface ActionContext<S, R> {
   getters: any;
   rootState: R;
   rootGetters: any;
+  signal: CancelSignal;
+}
+
+export interface TransactionContext<S> {
+  dispatch: Dispatch;
+  commit: Commit;
+  transaction<T>(fn: (context: TransactionContext<S>) => T): T;
+  readonly state: S;
+  readonly getters: any;
 }
 
 export interface Payload {
@@ -69,11 +124,22 @@ export interface ActionPayload extends Payload {
   payload: any;
 }
 
+export interface ModuleEvent {
+  type: "register" | "unregister" | "replace";
+  path: string[];
+}
+
+export type MutationMiddleware<P, S> = (mutation: P, next: (mutation: P) => boolean, store: Store<S>) => any;
+
+export type ActionMiddleware<P, S> = (action: P, next: (action: P) => Promise<any>, store: Store<S>) => any;
+
 export type ActionSubscriber<P, S> = (action: P, state: S) => any;
+export type ActionErrorSubscriber<P, S> = (action: P, state: S, error: Error) => any;
 
 export interface ActionSubscribersObject<P, S> {
   before?: ActionSubscriber<P, S>;
   after?: ActionSubscriber<P, S>;
+  error?: ActionErrorSubscriber<P, S>;
 }
 
 export type SubscribeActionOptions<P, S> = ActionSubscriber<P, S> | ActionSubscribersObject<P, S>;
@@ -115,10 +181,68 @@ export interface Module<S, R> {
   actions?: ActionTree<S, R>;
   mutations?: MutationTree<S>;
   modules?: ModuleTree<R>;
+  extends?: Module<any, R>;
+  mixins?: Module<any, R>[];
+  requires?: (string | string[])[];
+  persist?: boolean;
+  serverOnly?: boolean;
+  plugins?: ModulePlugin<S>[];
+  onRegister?: ModuleHook<S, R>;
+  onUnregister?: ModuleHook<S, R>;
+  onHotUpdate?: ModuleHook<S, R>;
+}
+
+export interface ModuleInstance<S> {
+  key: string;
+  namespace: string;
+  dispatch: Dispatch;
+  commit: Commit;
+  readonly state: S;
+  readonly getters: any;
+}
+
+export interface ModulePluginContext<S> {
+  dispatch: Dispatch;
+  commit: Commit;
+  readonly state: S;
+  readonly getters: any;
+  subscribe<P extends MutationPayload>(fn: (mutation: P, state: S) => any): () => void;
+  subscribeAction<P extends ActionPayload>(fn: SubscribeActionOptions<P, S>): () => void;
+}
+
+export type ModulePlugin<S> = (context: ModulePluginContext<S>) => void | (() => void);
+
+export interface ModuleHookContext<S, R> {
+  dispatch: Dispatch;
+  commit: Commit;
+  readonly state: S;
+  readonly getters: any;
+  readonly rootState: R;
+  readonly rootGetters: any;
 }
 
+export type ModuleHook<S, R> = (this: Store<R>, context: ModuleHookContext<S, R>) => void;
+
+export interface SerializeOptions {
+  exclude?: (string | string[])[];
+}
+
+export interface UnregisterModuleOptions {
+  force?: boolean;
+}
+
+export interface HotUpdateOptions {
+  prune?: boolean;
+  pruneState?: boolean;
+}
+
+export type ModuleLoader<S, R> = () => Module<S, R> | Promise<Module<S, R> | { default: Module<S, R> }>;
+
 export interface ModuleOptions {
   preserveState?: boolean;
+  mergeState?: boolean;
+  createParents?: boolean;
+  namespacedParents?: boolean;
 }
 
 export interface GetterTree<S, R> {
@@ -145,5 +269,6 @@ declare const _default: {
   mapGetters: typeof mapGetters,
   mapActions: typeof mapActions,
   createNamespacedHelpers: typeof createNamespacedHelpers,
+  isCancel: typeof isCancel,
 };
 export default _default;
@@ -20,12 +20,48 @@ namespace StoreInstance {
     amount: 1
   }).then(() => {});
 
+  const pending = store.dispatch("foo");
+  pending.cancel("stale");
+  pending.catch(error => {
+    Vuex.isCancel(error);
+  });
+
   store.commit("foo", { amount: 1 });
   store.commit({
     type: "foo",
     amount: 1
   });
 
+  store.subscribeModule((event, state) => {
+    event.type === "register";
+    event.path.join("/");
+    state.value;
+  });
+
+  store.useMutationMiddleware((mutation, next, store) => {
+    mutation.type;
+    mutation.payload;
+    store.state.value;
+    const committed: boolean = next({ type: mutation.type, payload: mutation.payload });
+  });
+
+  store.useActionMiddleware((action, next, store) => {
+    action.type;
+    action.payload;
+    store.state.value;
+    return next(action).then(res => res);
+  });
+
+  const result: number = store.transaction(({ commit, state }) => {
+    commit("foo");
+    return state.value;
+  });
+
+  store.transaction(async ({ dispatch, transaction }) => {
+    await dispatch("foo");
+    transaction(({ commit }) => commit("bar"));
+  }).then(() => {});
+
   store.watch(state => state.value, value => {
     value = value + 1;
   }, {
@@ -74,7 +110,34 @@ namespace StoreInstance {
     }
   });
 
+  store.subscribeAction({
+    before(action, state) {
+      action.type;
+      action.payload;
+      state.value;
+    },
+    error(action, state, error) {
+      action.type;
+      action.payload;
+      state.value;
+      error;
+    }
+  });
+
   store.replaceState({ value: 10 });
+
+  store.replaceModuleState("foo", { value: 1 });
+  store.replaceModuleState(["foo", "bar"], { value: 1 });
+  store.mergeState("foo", { value: 1 });
+  store.mergeState(["foo", "bar"], { value: 1 });
+
+  store.reset();
+  store.resetModule("foo");
+  store.resetModule(["foo", "bar"]);
+
+  const serialized: string = store.serialize({ exclude: ["foo", ["bar", "baz"]] });
+  store.hydrate(serialized);
+  store.hydrate({ value: 10 });
 }
 
 namespace RootModule {
@@ -87,12 +150,14 @@ namespace RootModule {
       plus10: (_, { count }) => count + 10
     },
     actions: {
-      foo ({ state, getters, dispatch, commit }, payload) {
+      foo ({ state, getters, dispatch, commit, signal }, payload) {
         this.state.value;
         state.value;
         getters.count;
         dispatch("bar", {});
         commit("bar", {});
+        signal.aborted;
+        signal.addEventListener("abort", () => {});
       }
     },
     mutations: {
@@ -300,8 +365,90 @@ namespace RegisterModule {
     state: { value: 2 }
   }, { preserveState: true });
 
+  store.registerModule(["a", "b"], {
+    state: () => ({ value: 2 })
+  }, { mergeState: true });
+
+  store.registerModule(["x", "y", "z"], {
+    state: { value: 3 }
+  }, { createParents: true, namespacedParents: true });
+
+  const loading = {
+    state: () => ({ loading: false }),
+    mutations: {
+      setLoading (state: { loading: boolean }, loading: boolean) {}
+    }
+  };
+  store.registerModule("crud", {
+    namespaced: true,
+    requires: ["a", ["a", "b"], "a/b"],
+    extends: { state: { page: 1 } },
+    mixins: [loading],
+    state: { items: [] }
+  });
+
+  store.registerModule("d", {
+    state: { value: 1 },
+    onRegister ({ state, dispatch, rootState, rootGetters }) {
+      state.value;
+      rootState.value;
+      rootGetters.foo;
+      dispatch("init");
+    },
+    onUnregister (context) {
+      this.state.value;
+      context.commit("stop");
+    },
+    onHotUpdate () {},
+    plugins: [
+      ({ subscribe, subscribeAction, commit, state, getters }) => {
+        state.value;
+        subscribe((mutation, state) => {
+          mutation.type;
+          state.value;
+        });
+        subscribeAction({
+          after: (action, state) => state.value
+        });
+        commit("inc");
+      },
+      ({ subscribe }) => {
+        const unsubscribe = subscribe(() => {});
+        return () => unsubscribe();
+      }
+    ]
+  });
+
+  store.ensureModule("c", () => Promise.resolve({
+    default: {
+      state: { value: 1 }
+    }
+  })).then(() => {});
+  store.ensureModule(["a", "c"], () => ({ state: { value: 1 } }), { preserveState: true });
+
+  store.moveModule(["a", "b"], ["a", "c"]);
+  store.moveModule("d", "e");
+
   store.unregisterModule(["a", "b"]);
   store.unregisterModule("a");
+  store.unregisterModule("static", { force: true });
+
+  const registered: boolean = store.hasModule("a") && store.hasModule(["a", "b"]);
+
+  const editor = {
+    namespaced: true,
+    state: () => ({ text: "" })
+  };
+  store.registerModuleInstance("editors", editor, "a");
+  store.registerModuleInstance("editors", editor, 1, { preserveState: true });
+  const keys: string[] = store.getModuleInstances("editors");
+  const instance = store.getModuleInstance<{ text: string }>("editors", "a");
+  if (instance) {
+    const namespace: string = instance.namespace;
+    instance.state.text;
+    instance.commit("setText", "foo");
+  }
+  store.unregisterModuleInstance("editors", 1);
 }
 
 namespace HotUpdate {
@@ -363,6 +510,11 @@ namespace HotUpdate {
     mutations,
     modules
   });
+
+  store.hotUpdate({ modules }, { prune: true });
+  store.hotUpdate("a", { mutations });
+  store.hotUpdate(["a", "b"], { getters }, { prune: false });
+  store.hotUpdate({ modules: { a: { state: () => ({ value: 1 }) } } }, { pruneState: true });
 }
 
 namespace Plugins {